@@ -1,121 +1,1890 @@
-var rdf = require('rdf-ext')
+var dataset = require('./lib/dataset')
+var DatasetIndex = require('./lib/DatasetIndex')
+var entity = require('./lib/entity')
+var EventEmitter = require('events').EventEmitter
+var factory = require('./lib/factory')
+var GraphCache = require('./lib/GraphCache')
+var History = require('./lib/History')
+var path = require('./lib/path')
+var Pipeline = require('./lib/Pipeline')
+var terms = require('./lib/terms')
+var url = require('url')
+var TripleIndex = require('./lib/TripleIndex')
 
 var clownface = {}
 
+clownface.entity = entity
+clownface.GraphCache = GraphCache
+clownface.path = path
+clownface.terms = terms
+
+var defaultGraph = dataset.defaultGraph
+
+clownface.defaultGraph = defaultGraph
+
 clownface.options = {
+  baseIri: null,
   detectNamedNodes: true,
-  namedNodeRegEx: /(ftp|http|https):\/\/(\w+:{0,1}\w*@)?(\S+)(:[0-9]+)?(\/|\/([\w#!:.?+=&%@!\-\/]))?/
+  factory: factory,
+  namedNodeRegEx: /^((ftp|http|https|file):\/\/|urn:[A-Za-z0-9][A-Za-z0-9-]{0,31}:|mailto:)\S+$/,
+  prefixes: {},
+  relativeIriRegEx: /^(\.{0,2}\/|#)\S*$/
+}
+
+function option (options, name) {
+  return options && name in options ? options[name] : clownface.options[name]
+}
+
+function extend (options, values) {
+  var result = {}
+
+  Object.keys(options).forEach(function (name) {
+    result[name] = options[name]
+  })
+
+  Object.keys(values).forEach(function (name) {
+    result[name] = values[name]
+  })
+
+  return result
+}
+
+var ns = {
+  first: factory.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#first'),
+  nil: factory.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#nil'),
+  object: factory.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#object'),
+  predicate: factory.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#predicate'),
+  rest: factory.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#rest'),
+  subject: factory.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#subject')
+}
+
+var xsd = {
+  boolean: 'http://www.w3.org/2001/XMLSchema#boolean',
+  dateTime: 'http://www.w3.org/2001/XMLSchema#dateTime',
+  decimal: 'http://www.w3.org/2001/XMLSchema#decimal',
+  double: 'http://www.w3.org/2001/XMLSchema#double',
+  integer: 'http://www.w3.org/2001/XMLSchema#integer'
+}
+
+var numberTypes = ['byte', 'decimal', 'double', 'float', 'int', 'integer', 'long', 'negativeInteger',
+  'nonNegativeInteger', 'nonPositiveInteger', 'positiveInteger', 'short', 'unsignedByte', 'unsignedInt',
+  'unsignedLong', 'unsignedShort'].map(function (type) {
+    return 'http://www.w3.org/2001/XMLSchema#' + type
+  })
+
+var dateTypes = ['date', 'dateTime'].map(function (type) {
+  return 'http://www.w3.org/2001/XMLSchema#' + type
+})
+
+function isNil (value) {
+  return value === null || value === undefined
+}
+
+function curiePrefix (value) {
+  var separator = value.indexOf(':')
+
+  if (separator === -1 || value.substr(separator + 1, 2) === '//') {
+    return null
+  }
+
+  var prefix = value.slice(0, separator)
+
+  if (prefix !== '' && !/^[A-Za-z][\w.-]*$/.test(prefix)) {
+    return null
+  }
+
+  return prefix
+}
+
+function expandCurie (value, prefixes) {
+  var prefix = curiePrefix(value)
+
+  prefixes = prefixes || clownface.options.prefixes
+
+  if (prefix === null || !prefixes || !Object.prototype.hasOwnProperty.call(prefixes, prefix)) {
+    return null
+  }
+
+  var local = value.slice(prefix.length + 1)
+
+  // free text like "note: some text" is not a CURIE, even if the prefix is registered
+  if (!/^[^\s<>"{}|^`\\]*$/.test(local)) {
+    return null
+  }
+
+  return prefixes[prefix] + local
+}
+
+function compactIri (iri, prefixes) {
+  var curie = iri
+  var length = 0
+
+  prefixes = prefixes || clownface.options.prefixes
+
+  Object.keys(prefixes).forEach(function (prefix) {
+    var namespace = prefixes[prefix]
+
+    if (namespace.length > length && iri.slice(0, namespace.length) === namespace) {
+      curie = prefix + ':' + iri.slice(namespace.length)
+      length = namespace.length
+    }
+  })
+
+  return curie
+}
+
+// values which have no decimal lexical form, like NaN or 1e+21, are written as double
+function numberLiteral (value, termFactory) {
+  if (!isFinite(value)) {
+    return termFactory.literal(isNaN(value) ? 'NaN' : value > 0 ? 'INF' : '-INF', termFactory.namedNode(xsd.double))
+  }
+
+  var lexical = value + ''
+
+  if (/e/.test(lexical)) {
+    return termFactory.literal(lexical, termFactory.namedNode(xsd.double))
+  }
+
+  return termFactory.literal(lexical, termFactory.namedNode(value % 1 === 0 ? xsd.integer : xsd.decimal))
+}
+
+function blankNode (label, options) {
+  return option(options, 'factory').blankNode(isNil(label) ? undefined : label + '')
 }
 
-function node (value) {
-  if (!value) {
+function node (value, options) {
+  if (isNil(value)) {
     return undefined
   }
 
   if (Array.isArray(value)) {
-    return value.map(function (item) {
-      return node(item)
-    })
+    return value.reduce(function (nodes, item) {
+      return nodes.concat(node(item, options))
+    }, [])
   }
 
-  if (typeof value === 'object' && value.interfaceName) {
+  if (terms.isTerm(value)) {
     return value
   }
 
-  if (typeof value === 'string') {
-    if (clownface.options.detectNamedNodes && clownface.options.namedNodeRegEx.test(value)) {
-      return rdf.createNamedNode(value)
+  if (value instanceof clownface.Graph || value instanceof clownface.Store) {
+    return value.nodes()
+  }
+
+  var termFactory = option(options, 'factory')
+
+  if (typeof value === 'string' && value.slice(0, 2) === '_:') {
+    return blankNode(value.slice(2), options)
+  } else if (typeof value === 'string') {
+    var iri = expandCurie(value, option(options, 'prefixes'))
+    var baseIri = option(options, 'baseIri')
+
+    if (iri) {
+      return termFactory.namedNode(iri)
+    } else if (!option(options, 'detectNamedNodes')) {
+      return termFactory.literal(value)
+    } else if (option(options, 'namedNodeRegEx').test(value)) {
+      return termFactory.namedNode(value)
+    } else if (baseIri && option(options, 'relativeIriRegEx').test(value)) {
+      return termFactory.namedNode(url.resolve(baseIri, value))
     } else {
-      return rdf.createLiteral(value)
+      return termFactory.literal(value)
     }
   } else if (typeof value === 'number') {
-    return rdf.createLiteral(value + '')
+    return numberLiteral(value, termFactory)
+  } else if (typeof value === 'boolean') {
+    return termFactory.literal(value + '', termFactory.namedNode(xsd.boolean))
+  } else if (value instanceof Date) {
+    return termFactory.literal(value.toISOString(), termFactory.namedNode(xsd.dateTime))
+  } else if (typeof value === 'object' && 'value' in value && value.language) {
+    return termFactory.literal(value.value + '', value.language)
+  } else if (typeof value === 'object' && 'value' in value && value.datatype) {
+    var datatype = terms.isTerm(value.datatype) ? value.datatype : termFactory.namedNode(terms.value(predicateNode(value.datatype, options)))
+
+    return termFactory.literal(value.value + '', datatype)
   } else {
     throw new Error('unknown type')
   }
 }
 
-function nodeGraph (value, graph, graphIri) {
+function predicateNode (value, options) {
+  if (Array.isArray(value)) {
+    return value.map(function (item) {
+      return predicateNode(item, options)
+    })
+  }
+
+  if (typeof value === 'string' && !option(options, 'namedNodeRegEx').test(value)) {
+    var prefix = curiePrefix(value)
+
+    if (prefix !== null && !Object.prototype.hasOwnProperty.call(option(options, 'prefixes') || {}, prefix)) {
+      throw new Error('unknown prefix: ' + prefix)
+    }
+  }
+
+  return node(value, options)
+}
+
+function literalValue (node, options, compact) {
+  if (compact && terms.termType(node) === 'NamedNode') {
+    return compactIri(terms.value(node), option(options, 'prefixes'))
+  }
+
+  return terms.value(node)
+}
+
+function languageMatches (language, range) {
+  language = (language || '').toLowerCase()
+  range = range.toLowerCase()
+
+  if (range === '*') {
+    return language !== ''
+  }
+
+  return language === range || language.slice(0, range.length + 1) === range + '-'
+}
+
+function termMatcher (value, options) {
+  if (isNil(value)) {
+    return function () {
+      return true
+    }
+  }
+
+  if (value instanceof clownface.Graph || value instanceof clownface.Store) {
+    value = value.nodes()
+  }
+
+  if (Array.isArray(value)) {
+    var matchers = value.map(function (item) {
+      return termMatcher(item, options)
+    })
+
+    return function (term) {
+      return matchers.some(function (matcher) {
+        return matcher(term)
+      })
+    }
+  }
+
+  if (value instanceof RegExp) {
+    return function (term) {
+      return terms.termType(term) === 'Literal' && value.test(terms.value(term))
+    }
+  }
+
+  if (typeof value === 'object' && !terms.isTerm(value) && !('value' in value)) {
+    var datatype = value.datatype && predicateNode(value.datatype, options)
+
+    return function (term) {
+      if (terms.termType(term) !== 'Literal') {
+        return false
+      }
+
+      if (value.language && !languageMatches(terms.language(term), value.language)) {
+        return false
+      }
+
+      return !datatype || terms.value(datatype) === terms.effectiveDatatype(term)
+    }
+  }
+
+  var expected = node(value, options)
+
+  return function (term) {
+    return terms.equals(expected, term)
+  }
+}
+
+function nativeValue (node) {
+  var datatype = terms.datatype(node)
+  var value = terms.value(node)
+
+  if (numberTypes.indexOf(datatype) !== -1) {
+    return /^[+-]?INF$/.test(value) ? (value[0] === '-' ? -Infinity : Infinity) : parseFloat(value)
+  }
+
+  if (datatype === xsd.boolean) {
+    return value === 'true' || value === '1'
+  }
+
+  if (dateTypes.indexOf(datatype) !== -1) {
+    return new Date(value)
+  }
+
+  return value
+}
+
+function nodeGraph (value, graph, graphIri, options) {
   if (Array.isArray(value)) {
     return value.map(function (item) {
-      return nodeGraph(item, graph, graphIri)
+      return nodeGraph(item, graph, graphIri, options)
+    })
+  }
+
+  value = node(value, options)
+
+  // copy the term, so the same term can be used in multiple graphs
+  var copy = Object.create(Object.getPrototypeOf(value))
+
+  Object.keys(value).forEach(function (key) {
+    copy[key] = value[key]
+  })
+
+  copy.graph = graph
+  copy.graphIri = graphIri
+
+  return copy
+}
+
+function inArray (node, array) {
+  return array.some(function (otherNode) {
+    return terms.equals(otherNode, node)
+  })
+}
+
+function graphNodeKey (node) {
+  return node.graphIri + ' ' + TripleIndex.termKey(node)
+}
+
+var keySet = dataset.keySet
+var unique = dataset.unique
+
+function intersection (nodes, others, key) {
+  var keys = keySet(others, key)
+
+  return unique(nodes.filter(function (node) {
+    return key(node) in keys
+  }), null, key)
+}
+
+var quads = dataset.quads
+
+function removeQuad (graph, quad) {
+  if (typeof graph.delete === 'function') {
+    graph.delete(quad)
+  } else {
+    graph.remove(quad)
+  }
+}
+
+var indexes = new WeakMap()
+
+// datasets with their own match are read directly, rdf-ext graphs only have a full scan and are indexed like
+// datasets without match, the index of datasets is rebuilt if the size changed outside of clownface,
+// other changes outside of clownface need a reindex
+function graphIndex (graph) {
+  var index = indexes.get(graph)
+
+  if (index && typeof graph.size === 'number' && index instanceof TripleIndex && graph.size !== index.size) {
+    dropIndex(graph)
+    index = null
+  }
+
+  if (!index && typeof graph.match === 'function' && !Array.isArray(graph.actions)) {
+    index = new DatasetIndex(graph)
+
+    indexes.set(graph, index)
+  }
+
+  if (!index) {
+    index = new TripleIndex()
+
+    quads(graph).forEach(function (triple) {
+      index.add(triple)
+    })
+
+    // rdf-ext graphs call the actions for every added triple, but have no hook for removed triples,
+    // so remove is wrapped to keep the index in sync with changes which are not done with clownface,
+    // reindex detaches both from the graph again
+    if (Array.isArray(graph.actions)) {
+      graph.actions.push(index.action)
+      graph.remove = indexedRemove(graph, index)
+    }
+
+    indexes.set(graph, index)
+  }
+
+  return index
+}
+
+function indexedRemove (graph, index) {
+  var remove = graph.remove
+  var wrapper = function (triple) {
+    var result = remove.apply(this, arguments)
+
+    index.remove(triple)
+
+    return result
+  }
+
+  wrapper.index = index
+  wrapper.original = Object.prototype.hasOwnProperty.call(graph, 'remove') ? remove : null
+
+  return wrapper
+}
+
+function dropIndex (graph) {
+  var index = indexes.get(graph)
+
+  if (index && Array.isArray(graph.actions) && graph.actions.indexOf(index.action) !== -1) {
+    graph.actions.splice(graph.actions.indexOf(index.action), 1)
+  }
+
+  if (index && graph.remove && graph.remove.index === index) {
+    if (graph.remove.original) {
+      graph.remove = graph.remove.original
+    } else {
+      delete graph.remove
+    }
+  }
+
+  indexes.delete(graph)
+}
+
+var emitters = new WeakMap()
+
+// graphs and stores are shared by many pointers, so the listeners are attached to them
+function events (target) {
+  if (!emitters.has(target)) {
+    emitters.set(target, new EventEmitter())
+  }
+
+  return emitters.get(target)
+}
+
+function emit (target, event, triples, graphIri) {
+  if (triples.length !== 0 && emitters.has(target)) {
+    emitters.get(target).emit(event, {
+      triples: triples,
+      graphIri: graphIri
+    })
+  }
+}
+
+// the triples are grouped by their graph, so the listeners of quads written with toGraph get the IRI of it
+function emitGraphs (target, event, triples) {
+  var groups = Object.create(null)
+  var keys = []
+
+  triples.forEach(function (triple) {
+    var named = triple.graph && terms.termType(triple.graph) === 'NamedNode'
+    var key = named ? terms.key(triple.graph) : ''
+
+    if (!(key in groups)) {
+      groups[key] = {graphIri: named ? terms.value(triple.graph) : null, triples: []}
+      keys.push(key)
+    }
+
+    groups[key].triples.push(triple)
+  })
+
+  keys.forEach(function (key) {
+    emit(target, event, groups[key].triples, groups[key].graphIri)
+  })
+}
+
+var histories = new WeakMap()
+
+function record (graph, changes) {
+  if (histories.has(graph)) {
+    histories.get(graph).record(changes)
+  }
+}
+
+function applyChanges (graph, changes) {
+  var index = graphIndex(graph)
+
+  changes.forEach(function (change) {
+    change.triples.forEach(function (triple) {
+      if (change.event === 'added') {
+        if (index.add(triple)) {
+          graph.add(triple)
+        }
+      } else {
+        index.match([triple.subject], [triple.predicate], [triple.object], [triple.graph || defaultGraph]).forEach(function (stored) {
+          removeQuad(graph, stored)
+          index.remove(stored)
+        })
+      }
+    })
+  })
+}
+
+function graphHistory (graph, options) {
+  if (!histories.has(graph)) {
+    histories.set(graph, new History(function (changes) {
+      applyChanges(graph, changes)
+
+      changes.forEach(function (change) {
+        emitGraphs(graph, change.event, change.triples)
+      })
+    }, option(options, 'factory')))
+  }
+
+  return histories.get(graph)
+}
+
+// while a transaction is open, the changes of the pointers in it are journaled and the events are emitted on commit
+function changed (graph, event, triples, options) {
+  if (options.journal && options.journal.open) {
+    if (triples.length !== 0) {
+      options.journal.changes.push({event: event, triples: triples})
+    }
+  } else {
+    emitGraphs(graph, event, triples)
+
+    if (triples.length !== 0) {
+      record(graph, [{event: event, triples: triples}])
+    }
+  }
+}
+
+function rollback (graph, journal, start) {
+  applyChanges(graph, History.invert(journal.splice(start)))
+}
+
+function graphNodes (value, options) {
+  if (isNil(value)) {
+    return null
+  }
+
+  return toArray(value).map(function (item) {
+    return terms.isTerm(item) ? item : predicateNode(item, options)
+  })
+}
+
+// the quads are added to the toGraph of the options or to the default graph of the factory
+function addTriples (graph, subjects, predicates, objects, options) {
+  var index = graphIndex(graph)
+  var termFactory = option(options, 'factory')
+  var target = graphNodes(options.toGraph, options)
+  var added = []
+
+  if (target && terms.termType(target[0]) === 'DefaultGraph') {
+    target = null
+  }
+
+  subjects.forEach(function (s) {
+    predicates.forEach(function (p) {
+      objects.forEach(function (o) {
+        var triple = target ? termFactory.quad(s, p, o, target[0]) : termFactory.quad(s, p, o)
+
+        if (index.add(triple)) {
+          added.push(triple)
+        }
+
+        graph.add(triple)
+      })
+    })
+  })
+
+  changed(graph, 'added', added, options)
+}
+
+function removeTriples (graph, subject, predicate, object, graphs, options) {
+  var index = graphIndex(graph)
+  var removed = index.match(subject && [subject], predicate && [predicate], object && [object], graphs)
+
+  removed.forEach(function (triple) {
+    removeQuad(graph, triple)
+    index.remove(triple)
+  })
+
+  changed(graph, 'removed', removed, options)
+}
+
+function toArray (value) {
+  if (isNil(value)) {
+    return undefined
+  }
+
+  if (!Array.isArray(value)) {
+    return [value]
+  }
+
+  return value
+}
+
+function sortValue (value) {
+  if (value instanceof clownface.Graph || value instanceof clownface.Store) {
+    value = value.nodes()
+  }
+
+  if (Array.isArray(value)) {
+    value = value[0]
+  }
+
+  if (terms.isTerm(value)) {
+    value = nativeValue(value)
+  }
+
+  return value instanceof Date ? value.getTime() : value
+}
+
+// numbers and dates are sorted before strings and strings before other values
+function valueGroup (value) {
+  if (typeof value === 'number') {
+    return 0
+  }
+
+  return typeof value === 'string' ? 1 : 2
+}
+
+function compareValues (a, b, locale) {
+  var group = valueGroup(a) - valueGroup(b)
+
+  if (group !== 0) {
+    return group
+  }
+
+  if (typeof a === 'number') {
+    return isNaN(a) || isNaN(b) ? isNaN(a) - isNaN(b) : a - b
+  }
+
+  if (typeof a === 'boolean' && typeof b === 'boolean') {
+    return a - b
+  }
+
+  return String(a).localeCompare(String(b), locale)
+}
+
+function pageCount (count) {
+  if (typeof count !== 'number' || !isFinite(count) || count < 0 || Math.floor(count) !== count) {
+    throw new Error('count must be a non-negative integer: ' + count)
+  }
+
+  return count
+}
+
+// value returns the sort value of a node, nodes without value are sorted to the end
+function sortNodes (nodes, value, sortOptions) {
+  var descending = Boolean(sortOptions && sortOptions.order === 'desc')
+  var locale = sortOptions && sortOptions.locale
+
+  return nodes.map(function (node, index) {
+    return {node: node, index: index, value: sortValue(value(node))}
+  }).sort(function (a, b) {
+    var missing = isNil(a.value) - isNil(b.value)
+
+    if (missing !== 0 || isNil(a.value)) {
+      return missing || a.index - b.index
+    }
+
+    var result = compareValues(a.value, b.value, locale)
+
+    return (descending ? -result : result) || a.index - b.index
+  }).map(function (entry) {
+    return entry.node
+  })
+}
+
+clownface.Graph = function (graph, nodes, options) {
+  if (!(this instanceof clownface.Graph)) {
+    return new clownface.Graph(graph, nodes, options)
+  }
+
+  options = options || {}
+
+  this.context = node(toArray(nodes), options)
+
+  // the named graphs to read from or null for all graphs
+  var graphs = graphNodes(options.fromGraph, options)
+
+  // nodes found in a named graph remember the IRI of the graph
+  var remember = function (term, triple) {
+    if (!triple.graph || terms.termType(triple.graph) !== 'NamedNode') {
+      return term
+    }
+
+    var copy = Object.create(Object.getPrototypeOf(term))
+
+    Object.keys(term).forEach(function (key) {
+      copy[key] = term[key]
+    })
+
+    copy.graphIri = terms.value(triple.graph)
+
+    return copy
+  }
+
+  var match = function (subject, predicate, object, property) {
+    if (!graph) {
+      return null
+    }
+
+    if (subject === undefined || object === undefined) {
+      return []
+    }
+
+    predicate = predicateNode(toArray(predicate), options) || null
+
+    return graphIndex(graph).match(subject, predicate, object, graphs).map(function (triple) {
+      return remember(triple[property], triple)
+    })
+  }
+
+  var evaluatePath = function (expression, nodes, inverse) {
+    if (expression.type === 'predicate') {
+      if (inverse) {
+        return unique(match(null, expression.predicate, nodes, 'subject'))
+      } else {
+        return unique(match(nodes, expression.predicate, null, 'object'))
+      }
+    }
+
+    if (expression.type === 'inverse') {
+      return evaluatePath(expression.path, nodes, !inverse)
+    }
+
+    if (expression.type === 'sequence') {
+      var steps = inverse ? expression.paths.slice().reverse() : expression.paths
+
+      return steps.reduce(function (current, step) {
+        return evaluatePath(step, current, inverse)
+      }, nodes)
+    }
+
+    if (expression.type === 'alternative') {
+      return unique(expression.paths.reduce(function (result, alternative) {
+        return result.concat(evaluatePath(alternative, nodes, inverse))
+      }, []))
+    }
+
+    if (expression.type === 'zeroOrOne') {
+      return unique(nodes.concat(evaluatePath(expression.path, nodes, inverse)))
+    }
+
+    if (expression.type === 'zeroOrMore' || expression.type === 'oneOrMore') {
+      var result = expression.type === 'zeroOrMore' ? unique(nodes) : []
+
+      for (var current = nodes; current.length !== 0;) {
+        current = unique(evaluatePath(expression.path, current, inverse), result)
+        result = result.concat(current)
+      }
+
+      return result
+    }
+
+    throw new Error('unknown path type: ' + expression.type)
+  }
+
+  var reifications = function (triple) {
+    var statements = function (property, value) {
+      return match(null, property, [value], 'subject')
+    }
+
+    return intersection(
+      intersection(statements(ns.subject, triple.subject), statements(ns.predicate, triple.predicate), TripleIndex.termKey),
+      statements(ns.object, triple.object),
+      TripleIndex.termKey)
+  }
+
+  var describe = function (result, term, symmetric, reified, visited) {
+    var index = graphIndex(graph)
+    var key = (symmetric ? 'in ' : 'out ') + TripleIndex.termKey(term)
+
+    if (key in visited) {
+      return
+    }
+
+    visited[key] = true
+
+    var triples = symmetric ? index.match(null, null, [term], graphs) : index.match([term], null, null, graphs)
+
+    triples.forEach(function (triple) {
+      result.add(triple)
+
+      var next = symmetric ? triple.subject : triple.object
+
+      if (terms.termType(next) === 'BlankNode') {
+        describe(result, next, symmetric, reified, visited)
+      }
+
+      if (reified) {
+        reifications(triple).forEach(function (statement) {
+          describe(result, statement, false, reified, visited)
+        })
+      }
+    })
+  }
+
+  var listNodes = function (head) {
+    var cells = []
+    var items = []
+
+    for (var cell = head; !terms.equals(cell, ns.nil);) {
+      if (inArray(cell, cells)) {
+        throw new Error('cyclic list: ' + terms.key(head))
+      }
+
+      var first = match([cell], ns.first, null, 'object')
+      var rest = match([cell], ns.rest, null, 'object')
+
+      if (first.length !== 1 || rest.length !== 1) {
+        throw new Error('malformed list: ' + terms.key(head))
+      }
+
+      cells.push(cell)
+      items.push(first[0])
+      cell = rest[0]
+    }
+
+    return {
+      cells: cells,
+      items: items
+    }
+  }
+
+  this.graph = function () {
+    return graph
+  }
+
+  // the history is shared by all objects of the graph and records the changes after the first call
+  this.history = function () {
+    return graphHistory(graph, options)
+  }
+
+  this.fromGraph = function (value) {
+    return clownface.Graph(graph, this.context, extend(options, {fromGraph: value}))
+  }
+
+  this.toGraph = function (value) {
+    return clownface.Graph(graph, this.context, extend(options, {toGraph: value}))
+  }
+
+  this.reindex = function () {
+    dropIndex(graph)
+
+    return this
+  }
+
+  this.on = function (event, listener) {
+    events(graph).on(event, listener)
+
+    return this
+  }
+
+  this.removeListener = function (event, listener) {
+    events(graph).removeListener(event, listener)
+
+    return this
+  }
+
+  // the changes of the object given to the callback and the objects derived from it are journaled, other objects of
+  // the graph are not part of the transaction, nested transactions join the outer one, but roll back their own changes on error
+  this.transaction = function (callback) {
+    var self = this
+    var outer = options.journal && options.journal.open
+    var journal = outer ? options.journal : {open: true, changes: []}
+    var start = journal.changes.length
+    var pointer = outer ? this : clownface.Graph(graph, this.context, extend(options, {journal: journal}))
+    var result
+
+    var finish = function (error) {
+      if (error) {
+        rollback(graph, journal.changes, start)
+      }
+
+      if (!outer) {
+        journal.open = false
+
+        if (!error) {
+          journal.changes.forEach(function (change) {
+            emitGraphs(graph, change.event, change.triples)
+          })
+
+          record(graph, journal.changes)
+        }
+      }
+
+      if (error) {
+        throw error
+      }
+
+      return self
+    }
+
+    try {
+      result = callback(pointer)
+    } catch (error) {
+      return finish(error)
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(function () {
+        return finish()
+      }, finish)
+    }
+
+    return finish()
+  }
+
+  this.prefixes = function () {
+    return option(options, 'prefixes')
+  }
+
+  this.node = function (value) {
+    return clownface.Graph(graph, value, options)
+  }
+
+  this.in = function (predicate) {
+    return clownface.Graph(graph, match(null, predicate, this.context, 'subject'), options)
+  }
+
+  this.out = function (predicate) {
+    return clownface.Graph(graph, match(this.context, predicate, null, 'object'), options)
+  }
+
+  this.path = function (expression) {
+    if (!graph) {
+      return clownface.Graph(graph, null, options)
+    }
+
+    return clownface.Graph(graph, evaluatePath(path.from(expression), this.nodes(), false), options)
+  }
+
+  this.nodes = function () {
+    if (!this.context) {
+      return []
+    }
+
+    return this.context
+  }
+
+  this.literal = function (literalOptions) {
+    if (!this.context) {
+      return undefined
+    }
+
+    var compact = literalOptions && literalOptions.compact
+
+    return this.context
+      .map(function (node) {
+        return literalValue(node, options, compact)
+      })
+  }
+
+  this.native = function () {
+    if (!this.context) {
+      return undefined
+    }
+
+    return this.context.map(nativeValue)
+  }
+
+  this.removeIn = function (predicate) {
+    if (predicate) {
+      predicate = predicateNode(toArray(predicate), options)
+    }
+
+    this.nodes().forEach(function (o) {
+      if (predicate) {
+        predicate.forEach(function (p) {
+          removeTriples(graph, null, p, o, graphs, options)
+        })
+      } else {
+        removeTriples(graph, null, null, o, graphs, options)
+      }
+    })
+
+    return this
+  }
+
+  this.removeOut = function (predicate) {
+    if (predicate) {
+      predicate = predicateNode(toArray(predicate), options)
+    }
+
+    this.nodes().forEach(function (s) {
+      if (predicate) {
+        predicate.forEach(function (p) {
+          removeTriples(graph, s, p, null, graphs, options)
+        })
+      } else {
+        removeTriples(graph, s, null, null, graphs, options)
+      }
+    })
+
+    return this
+  }
+
+  this.blankNode = function (label) {
+    return clownface.Graph(graph, blankNode(label, options), options)
+  }
+
+  this.addIn = function (predicate, subjects, callback) {
+    if (typeof subjects === 'function') {
+      callback = subjects
+      subjects = null
+    }
+
+    if (!predicate) {
+      throw new Error('predicate missing')
+    }
+
+    if (isNil(subjects) && !callback) {
+      throw new Error('subjects missing')
+    }
+
+    predicate = predicateNode(toArray(predicate), options)
+
+    if (isNil(subjects)) {
+      subjects = this.nodes().map(function (object) {
+        var subject = blankNode(null, options)
+
+        addTriples(graph, [subject], predicate, [object], options)
+
+        return subject
+      })
+    } else {
+      subjects = node(toArray(subjects), options)
+
+      addTriples(graph, subjects, predicate, this.nodes(), options)
+    }
+
+    if (callback) {
+      callback(clownface.Graph(graph, subjects, options))
+    }
+
+    return this
+  }
+
+  this.addOut = function (predicate, objects, callback) {
+    if (typeof objects === 'function') {
+      callback = objects
+      objects = null
+    }
+
+    if (!predicate) {
+      throw new Error('predicate missing')
+    }
+
+    if (isNil(objects) && !callback) {
+      throw new Error('objects missing')
+    }
+
+    predicate = predicateNode(toArray(predicate), options)
+
+    if (isNil(objects)) {
+      objects = this.nodes().map(function (subject) {
+        var object = blankNode(null, options)
+
+        addTriples(graph, [subject], predicate, [object], options)
+
+        return object
+      })
+    } else {
+      objects = node(toArray(objects), options)
+
+      addTriples(graph, this.nodes(), predicate, objects, options)
+    }
+
+    if (callback) {
+      callback(clownface.Graph(graph, objects, options))
+    }
+
+    return this
+  }
+
+  this.list = function () {
+    if (this.nodes().length !== 1) {
+      throw new Error('list requires exactly one node')
+    }
+
+    return listNodes(this.nodes()[0]).items.map(function (item) {
+      return clownface.Graph(graph, item, options)
+    })
+  }
+
+  this.addList = function (predicate, items, callback) {
+    if (!predicate) {
+      throw new Error('predicate missing')
+    }
+
+    if (!Array.isArray(items)) {
+      throw new Error('items must be an array')
+    }
+
+    predicate = predicateNode(toArray(predicate), options)
+    items = node(items, options)
+
+    var termFactory = option(options, 'factory')
+    var first = termFactory.namedNode(terms.value(ns.first))
+    var nil = termFactory.namedNode(terms.value(ns.nil))
+    var rest = termFactory.namedNode(terms.value(ns.rest))
+
+    this.nodes().forEach(function (subject) {
+      var head = items.length === 0 ? nil : blankNode(null, options)
+
+      addTriples(graph, [subject], predicate, [head], options)
+
+      items.forEach(function (item, index) {
+        var next = index === items.length - 1 ? nil : blankNode(null, options)
+
+        addTriples(graph, [head], [first], [item], options)
+        addTriples(graph, [head], [rest], [next], options)
+
+        head = next
+      })
+    })
+
+    if (callback) {
+      callback(clownface.Graph(graph, items, options))
+    }
+
+    return this
+  }
+
+  this.removeList = function (predicate) {
+    if (!predicate) {
+      throw new Error('predicate missing')
+    }
+
+    predicate = predicateNode(toArray(predicate), options)
+
+    this.nodes().forEach(function (subject) {
+      predicate.forEach(function (p) {
+        match([subject], [p], null, 'object').forEach(function (head) {
+          listNodes(head).cells.forEach(function (cell) {
+            removeTriples(graph, cell, ns.first, null, graphs, options)
+            removeTriples(graph, cell, ns.rest, null, graphs, options)
+          })
+
+          removeTriples(graph, subject, p, head, graphs, options)
+        })
+      })
+    })
+
+    return this
+  }
+
+  this.toArray = function () {
+    return this.nodes().map(function (node) {
+      return clownface.Graph(graph, node, options)
+    })
+  }
+
+  this[Symbol.iterator] = function () {
+    return this.toArray()[Symbol.iterator]()
+  }
+
+  this.lazy = function () {
+    return Pipeline.from(this.nodes(), function (node) {
+      return clownface.Graph(graph, node, options)
+    })
+  }
+
+  this.filter = function (callback) {
+    return clownface.Graph(graph, this.toArray().filter(callback).map(function (cf) {
+      return cf.context.shift()
+    }), options)
+  }
+
+  this.sortBy = function (key, sortOptions) {
+    if (!key) {
+      throw new Error('predicate or function missing')
+    }
+
+    return clownface.Graph(graph, sortNodes(this.nodes(), function (node) {
+      var pointer = clownface.Graph(graph, node, options)
+
+      return typeof key === 'function' ? key(pointer) : pointer.out(key)
+    }, sortOptions), options)
+  }
+
+  this.offset = function (count) {
+    return clownface.Graph(graph, this.nodes().slice(pageCount(count)), options)
+  }
+
+  this.limit = function (count) {
+    return clownface.Graph(graph, this.nodes().slice(0, pageCount(count)), options)
+  }
+
+  this.count = function () {
+    return this.nodes().length
+  }
+
+  this.has = function (predicate, value) {
+    var matcher = termMatcher(value, options)
+
+    return clownface.Graph(graph, this.nodes().filter(function (subject) {
+      return match([subject], predicate, null, 'object').some(matcher)
+    }), options)
+  }
+
+  this.hasIn = function (predicate, value) {
+    var matcher = termMatcher(value, options)
+
+    return clownface.Graph(graph, this.nodes().filter(function (object) {
+      return match(null, predicate, [object], 'subject').some(matcher)
+    }), options)
+  }
+
+  this.cbd = function (cbdOptions) {
+    var result = option(options, 'factory').dataset()
+    var visited = Object.create(null)
+    var reified = Boolean(cbdOptions && cbdOptions.reified)
+
+    this.nodes().forEach(function (term) {
+      describe(result, term, false, reified, visited)
+
+      if (cbdOptions && cbdOptions.symmetric) {
+        describe(result, term, true, reified, visited)
+      }
+    })
+
+    return result
+  }
+
+  this.scbd = function (cbdOptions) {
+    return this.cbd({
+      reified: cbdOptions && cbdOptions.reified,
+      symmetric: true
+    })
+  }
+
+  this.distinct = function () {
+    return clownface.Graph(graph, unique(this.nodes()), options)
+  }
+
+  this.union = function (other) {
+    return clownface.Graph(graph, unique(this.nodes().concat(node(toArray(other), options) || [])), options)
+  }
+
+  this.intersect = function (other) {
+    return clownface.Graph(graph, intersection(this.nodes(), node(toArray(other), options) || [], TripleIndex.termKey), options)
+  }
+
+  this.minus = function (other) {
+    return clownface.Graph(graph, unique(this.nodes(), node(toArray(other), options)), options)
+  }
+
+  this.forEach = function (callback) {
+    return this.toArray().forEach(callback)
+  }
+
+  this.map = function (callback) {
+    return this.toArray().map(callback)
+  }
+
+  this.toString = function (literalOptions) {
+    return this.literal(literalOptions).join()
+  }
+
+  this.toJSON = function (shape) {
+    // JSON.stringify calls .toJSON with the property name
+    shape = typeof shape === 'object' && shape !== null ? shape : {}
+
+    var depth = isNil(shape.depth) ? Infinity : shape.depth
+    var prefixes = option(options, 'prefixes')
+
+    var name = function (iri) {
+      return shape.compact ? compactIri(iri, prefixes) : iri
+    }
+
+    var id = function (term) {
+      return terms.termType(term) === 'BlankNode' ? '_:' + terms.value(term) : name(terms.value(term))
+    }
+
+    var forceArray = function (iri) {
+      if (Array.isArray(shape.arrays)) {
+        return shape.arrays.indexOf(iri) !== -1 || shape.arrays.indexOf(name(iri)) !== -1
+      }
+
+      return shape.arrays === true
+    }
+
+    // ancestors maps the keys of the nodes on the current path to their objects
+    var convert = function (term, level, ancestors) {
+      if (terms.termType(term) === 'Literal') {
+        return nativeValue(term)
+      }
+
+      var key = TripleIndex.termKey(term)
+
+      if (key in ancestors) {
+        // blank nodes only get an @id if they are referenced
+        ancestors[key]['@id'] = id(term)
+
+        return {'@id': id(term)}
+      }
+
+      if (level >= depth) {
+        return {'@id': id(term)}
+      }
+
+      var result = {}
+
+      if (terms.termType(term) !== 'BlankNode') {
+        result['@id'] = id(term)
+      }
+
+      var path = Object.create(ancestors)
+
+      path[key] = result
+
+      graphIndex(graph).match([term], null, null, graphs).forEach(function (triple) {
+        var property = name(terms.value(triple.predicate))
+        var value = convert(triple.object, level + 1, path)
+
+        if (property in result) {
+          result[property] = [].concat(result[property], value)
+        } else {
+          result[property] = forceArray(terms.value(triple.predicate)) ? [value] : value
+        }
+      })
+
+      return result
+    }
+
+    var result = this.nodes().map(function (term) {
+      return convert(term, 0, Object.create(null))
+    })
+
+    return result.length === 1 ? result[0] : result
+  }
+}
+
+clownface.Store = function (store, nodes, options) {
+  if (!(this instanceof clownface.Store)) {
+    return new clownface.Store(store, nodes, options)
+  }
+
+  options = options || {}
+
+  // the cache is created once and shared with all derived objects
+  if (options.cache && !(options.cache instanceof GraphCache)) {
+    options = extend(options, {
+      cache: new GraphCache(typeof options.cache === 'object' ? options.cache : null)
+    })
+  }
+
+  this.context = toArray(nodes)
+
+  var resolveGraphIri = function (graphIri) {
+    var graphNode = typeof graphIri === 'string' ? node(graphIri, options) : null
+
+    return graphNode && terms.termType(graphNode) === 'NamedNode' ? terms.value(graphNode) : graphIri
+  }
+
+  // without cache the requests are only deduplicated per call
+  var graphLoader = function () {
+    var cache = options.cache || new GraphCache()
+
+    return function (graphIri) {
+      return cache.get(graphIri, function () {
+        return store.graph(graphIri)
+      })
+    }
+  }
+
+  this.store = function () {
+    return store
+  }
+
+  this.prefixes = function () {
+    return option(options, 'prefixes')
+  }
+
+  var write = function (items, operation, then) {
+    var changed = []
+    var changes = []
+    var transaction = options.transaction && options.transaction.open ? options.transaction : null
+
+    // inside a transaction the changes are journaled per graph and the graphs are written on commit
+    if (transaction) {
+      items.forEach(function (item) {
+        var index = transaction.items.map(function (other) {
+          return other.graph
+        }).indexOf(item.graph)
+
+        if (index === -1) {
+          index = transaction.items.push(item) - 1
+          transaction.journals.push({open: true, changes: []})
+        }
+
+        operation(clownface.Graph(item.graph, item, extend(options, {journal: transaction.journals[index]})), item)
+      })
+
+      return Promise.resolve(then && then())
+    }
+
+    // the changes are journaled per item, so the items already changed can be rolled back if a later one fails
+    var journaled = []
+
+    try {
+      items.forEach(function (item) {
+        var journal = {open: true, changes: []}
+
+        journaled.push({item: item, journal: journal})
+
+        operation(clownface.Graph(item.graph, item, extend(options, {journal: journal})), item)
+      })
+    } catch (error) {
+      journaled.reverse().forEach(function (entry) {
+        entry.journal.open = false
+
+        rollback(entry.item.graph, entry.journal.changes, 0)
+      })
+
+      throw error
+    }
+
+    journaled.forEach(function (entry) {
+      entry.journal.open = false
+
+      entry.journal.changes.forEach(function (change) {
+        emitGraphs(entry.item.graph, change.event, change.triples)
+        changes.push({event: change.event, triples: change.triples, graphIri: entry.item.graphIri})
+      })
+
+      record(entry.item.graph, entry.journal.changes)
+
+      var known = changed.some(function (other) {
+        return other.graph === entry.item.graph
+      })
+
+      if (!known) {
+        changed.push(entry.item)
+      }
+    })
+
+    return Promise.resolve(then && then()).then(function () {
+      return Promise.all(changed.map(function (item) {
+        return store.add(item.graphIri, item.graph)
+      }))
+    }).then(function () {
+      changes.forEach(function (change) {
+        emit(store, change.event, change.triples, change.graphIri)
+      })
+    })
+  }
+
+  // errors of the operation reject the Promise like errors of the store
+  var update = function (items, operation, then) {
+    return new Promise(function (resolve) {
+      items.forEach(function (item) {
+        if (!item.graph) {
+          throw new Error('graph not found: ' + item.graphIri)
+        }
+      })
+
+      resolve(write(items, operation, then))
+    })
+  }
+
+  this.on = function (event, listener) {
+    events(store).on(event, listener)
+
+    return this
+  }
+
+  this.removeListener = function (event, listener) {
+    events(store).removeListener(event, listener)
+
+    return this
+  }
+
+  // the changes of the object given to the callback and the objects derived from it are part of the transaction
+  this.transaction = function (callback) {
+    var self = this
+
+    if (options.transaction && options.transaction.open) {
+      return Promise.resolve(callback(this)).then(function () {
+        return self
+      })
+    }
+
+    var transaction = {open: true, items: [], journals: []}
+    var pointer = clownface.Store(store, this.context, extend(options, {transaction: transaction}))
+
+    var finish = function () {
+      transaction.open = false
+
+      transaction.journals.forEach(function (journal) {
+        journal.open = false
+      })
+    }
+
+    // waits for all writes, also if some of them fail, and resolves with the errors per graph
+    var save = function (items) {
+      return Promise.all(items.map(function (item) {
+        return new Promise(function (resolve) {
+          resolve(store.add(item.graphIri, item.graph))
+        }).then(function () {
+          return null
+        }, function (error) {
+          return {error: error}
+        })
+      }))
+    }
+
+    // the original state is written back to the given graphs
+    var abort = function (error, saved) {
+      finish()
+
+      transaction.journals.forEach(function (journal, index) {
+        rollback(transaction.items[index].graph, journal.changes, 0)
+      })
+
+      return save(saved).then(function () {
+        throw error
+      })
+    }
+
+    return new Promise(function (resolve) {
+      resolve(callback(pointer))
+    }).then(function () {
+      return save(transaction.items).then(function (results) {
+        var failed = results.filter(Boolean)
+
+        if (failed.length !== 0) {
+          return abort(failed[0].error, transaction.items.filter(function (item, index) {
+            return !results[index]
+          }))
+        }
+
+        finish()
+
+        transaction.items.forEach(function (item, index) {
+          var journal = transaction.journals[index].changes
+
+          journal.forEach(function (change) {
+            emitGraphs(item.graph, change.event, change.triples)
+            emit(store, change.event, change.triples, item.graphIri)
+          })
+
+          record(item.graph, journal)
+        })
+
+        return self
+      })
+    }, function (error) {
+      // other objects could have written the graphs with the changes of the transaction in the meantime
+      return abort(error, transaction.items)
+    })
+  }
+
+  this.graphs = function () {
+    var unique = []
+
+    this.nodes().forEach(function (item) {
+      if (unique.indexOf(item.graph) === -1) {
+        unique.push(item.graph)
+      }
+    })
+
+    return unique
+  }
+
+  this.node = function (value, graphIri, then) {
+    var graphIris = toArray(graphIri || value.graphIri || value).map(resolveGraphIri)
+
+    var load = graphLoader()
+
+    return Promise.all(graphIris.map(function (graphIri) {
+      return load(graphIri)
+    })).then(function (graphs) {
+      var nodes = []
+
+      graphs.forEach(function (graph, index) {
+        nodes = nodes.concat(nodeGraph(value, graph, graphIris[index], options))
+      })
+
+      if (then) {
+        return Promise.resolve(then(clownface.Store(store, nodes, options)))
+      } else {
+        return clownface.Store(store, nodes, options)
+      }
+    })
+  }
+
+  // loads the document of IRI nodes without matches in their graph, hops counts the loaded documents per path
+  var follow = function (items, predicate, inverse) {
+    var settings = typeof options.follow === 'object' ? options.follow : {}
+    var hops = 'hops' in settings ? settings.hops : Infinity
+    var load = graphLoader()
+
+    var step = function (graph, item, graphIri, itemHops) {
+      var pointer = clownface.Graph(graph, item, options)
+
+      return nodeGraph((inverse ? pointer.in(predicate) : pointer.out(predicate)).nodes(), graph, graphIri).map(function (match) {
+        match.hops = itemHops
+
+        return match
+      })
+    }
+
+    var allowed = function (documentIri) {
+      return !settings.allow || settings.allow.some(function (base) {
+        return documentIri.slice(0, base.length) === base
+      })
+    }
+
+    return Promise.all(items.map(function (item) {
+      var itemHops = item.hops || 0
+      var matches = step(item.graph, item, item.graphIri, itemHops)
+      var documentIri = terms.termType(item) === 'NamedNode' ? terms.value(item).split('#')[0] : null
+
+      if (matches.length !== 0 || !documentIri || documentIri === item.graphIri || itemHops >= hops || !allowed(documentIri)) {
+        return matches
+      }
+
+      return load(documentIri).then(function (graph) {
+        return graph ? step(graph, item, documentIri, itemHops + 1) : []
+      })
+    })).then(function (matches) {
+      return clownface.Store(store, matches.reduce(function (all, matches) {
+        return all.concat(matches)
+      }, []), options)
+    })
+  }
+
+  this.in = function (predicate) {
+    var matches = []
+
+    if (options.follow) {
+      return follow(this.nodes(), predicate, true)
+    }
+
+    this.nodes().forEach(function (item) {
+      matches = matches.concat(clownface.Graph(item.graph, item, options).in(predicate).nodes().map(function (match) {
+        return nodeGraph(match, item.graph, item.graphIri)
+      }))
+    })
+
+    return clownface.Store(store, matches, options)
+  }
+
+  this.out = function (predicate) {
+    var matches = []
+
+    if (options.follow) {
+      return follow(this.nodes(), predicate, false)
+    }
+
+    this.nodes().forEach(function (item) {
+      matches = matches.concat(clownface.Graph(item.graph, item, options).out(predicate).nodes().map(function (match) {
+        return nodeGraph(match, item.graph, item.graphIri)
+      }))
+    })
+
+    return clownface.Store(store, matches, options)
+  }
+
+  this.sortBy = function (key, sortOptions) {
+    if (!key) {
+      throw new Error('predicate or function missing')
+    }
+
+    return clownface.Store(store, sortNodes(this.nodes(), function (item) {
+      if (typeof key === 'function') {
+        return key(clownface.Store(store, item, options))
+      }
+
+      return clownface.Graph(item.graph, item, options).out(key)
+    }, sortOptions), options)
+  }
+
+  this.offset = function (count) {
+    return clownface.Store(store, this.nodes().slice(pageCount(count)), options)
+  }
+
+  this.limit = function (count) {
+    return clownface.Store(store, this.nodes().slice(0, pageCount(count)), options)
+  }
+
+  this.count = function () {
+    return this.nodes().length
+  }
+
+  this.has = function (predicate, value) {
+    return clownface.Store(store, this.nodes().filter(function (item) {
+      return clownface.Graph(item.graph, item, options).has(predicate, value).nodes().length !== 0
+    }), options)
+  }
+
+  this.hasIn = function (predicate, value) {
+    return clownface.Store(store, this.nodes().filter(function (item) {
+      return clownface.Graph(item.graph, item, options).hasIn(predicate, value).nodes().length !== 0
+    }), options)
+  }
+
+  this.cbd = function (cbdOptions) {
+    var result = option(options, 'factory').dataset()
+
+    this.nodes().forEach(function (item) {
+      quads(clownface.Graph(item.graph, item, options).cbd(cbdOptions)).forEach(function (quad) {
+        result.add(quad)
+      })
+    })
+
+    return result
+  }
+
+  this.scbd = function (cbdOptions) {
+    return this.cbd({
+      reified: cbdOptions && cbdOptions.reified,
+      symmetric: true
+    })
+  }
+
+  this.distinct = function () {
+    return clownface.Store(store, unique(this.nodes(), null, graphNodeKey), options)
+  }
+
+  this.union = function (other) {
+    return clownface.Store(store, unique(this.nodes().concat(node(toArray(other)) || []), null, graphNodeKey), options)
+  }
+
+  this.intersect = function (other) {
+    return clownface.Store(store, intersection(this.nodes(), node(toArray(other)) || [], graphNodeKey), options)
+  }
+
+  this.minus = function (other) {
+    return clownface.Store(store, unique(this.nodes(), node(toArray(other)), graphNodeKey), options)
+  }
+
+  this.path = function (expression) {
+    var matches = []
+
+    this.nodes().forEach(function (item) {
+      matches = matches.concat(clownface.Graph(item.graph, item, options).path(expression).nodes().map(function (match) {
+        return nodeGraph(match, item.graph, item.graphIri)
+      }))
     })
-  }
 
-  value = node(value)
-  value.graph = graph
-  value.graphIri = graphIri
+    return clownface.Store(store, matches, options)
+  }
 
-  return value
-}
+  this.list = function () {
+    if (this.nodes().length !== 1) {
+      throw new Error('list requires exactly one node')
+    }
 
-function inArray (node, array) {
-  return array.some(function (otherNode) {
-    return otherNode.equals(node)
-  })
-}
+    var item = this.nodes()[0]
 
-function toArray (value) {
-  if (!value) {
-    return undefined
+    return clownface.Graph(item.graph, item, options).list().map(function (entry) {
+      return clownface.Store(store, nodeGraph(entry.nodes()[0], item.graph, item.graphIri), options)
+    })
   }
 
-  if (!Array.isArray(value)) {
-    return [value]
-  }
+  this.addIn = function (predicate, subjects, callback) {
+    var self = this
+    var created = []
 
-  return value
-}
+    if (typeof subjects === 'function') {
+      callback = subjects
+      subjects = null
+    }
 
-clownface.Graph = function (graph, nodes) {
-  if (!(this instanceof clownface.Graph)) {
-    return new clownface.Graph(graph, nodes)
+    if (isNil(subjects) && !callback) {
+      return Promise.reject(new Error('subjects missing'))
+    }
+
+    return update(this.nodes(), function (cf, item) {
+      cf.addIn(predicate, subjects, function (result) {
+        created = created.concat(nodeGraph(result.nodes(), item.graph, item.graphIri))
+      })
+    }, callback && function () {
+      return callback(clownface.Store(store, created, options))
+    }).then(function () {
+      return self
+    })
   }
 
-  this.context = node(toArray(nodes))
+  this.addOut = function (predicate, objects, callback) {
+    var self = this
+    var created = []
 
-  var match = function (subject, predicate, object, property) {
-    if (!graph) {
-      return null
+    if (typeof objects === 'function') {
+      callback = objects
+      objects = null
     }
 
-    var matches = []
+    if (isNil(objects) && !callback) {
+      return Promise.reject(new Error('objects missing'))
+    }
 
-    predicate = node(toArray(predicate))
+    return update(this.nodes(), function (cf, item) {
+      cf.addOut(predicate, objects, function (result) {
+        created = created.concat(nodeGraph(result.nodes(), item.graph, item.graphIri))
+      })
+    }, callback && function () {
+      return callback(clownface.Store(store, created, options))
+    }).then(function () {
+      return self
+    })
+  }
 
-    graph.forEach(function (triple) {
-      if (subject !== null && !inArray(triple.subject, subject)) {
-        return
-      }
+  this.addList = function (predicate, items, callback) {
+    var self = this
+    var created = []
 
-      if (predicate !== null && !inArray(triple.predicate, predicate)) {
-        return
-      }
+    return update(this.nodes(), function (cf, item) {
+      cf.addList(predicate, items, function (result) {
+        created = created.concat(nodeGraph(result.nodes(), item.graph, item.graphIri))
+      })
+    }, callback && function () {
+      return callback(clownface.Store(store, created, options))
+    }).then(function () {
+      return self
+    })
+  }
 
-      if (object !== null && !inArray(triple.object, object)) {
-        return
-      }
+  this.removeIn = function (predicate) {
+    var self = this
 
-      matches.push(triple[property])
+    return update(this.nodes(), function (cf) {
+      cf.removeIn(predicate)
+    }).then(function () {
+      return self
     })
-
-    return matches
   }
 
-  this.graph = function () {
-    return graph
+  this.removeOut = function (predicate) {
+    var self = this
+
+    return update(this.nodes(), function (cf) {
+      cf.removeOut(predicate)
+    }).then(function () {
+      return self
+    })
   }
 
-  this.node = function (value) {
-    return clownface.Graph(graph, value)
+  this.removeList = function (predicate) {
+    var self = this
+
+    return update(this.nodes(), function (cf) {
+      cf.removeList(predicate)
+    }).then(function () {
+      return self
+    })
   }
 
-  this.in = function (predicate) {
-    return clownface.Graph(graph, match(null, predicate, this.context, 'subject'))
+  this.invalidate = function (graphIri) {
+    if (options.cache) {
+      options.cache.invalidate(isNil(graphIri) ? null : resolveGraphIri(graphIri))
+    }
+
+    return this
   }
 
-  this.out = function (predicate) {
-    return clownface.Graph(graph, match(this.context, predicate, null, 'object'))
+  this.jump = function (then) {
+    var load = graphLoader()
+
+    return Promise.all(this.nodes().map(function (item) {
+      return load(terms.value(item)).then(function (graph) {
+        return nodeGraph(item, graph, terms.value(item))
+      })
+    })).then(function (entries) {
+      if (then) {
+        return Promise.resolve(then(clownface.Store(store, entries, options)))
+      } else {
+        return clownface.Store(store, entries, options)
+      }
+    })
   }
 
   this.nodes = function () {
@@ -126,155 +1895,389 @@ clownface.Graph = function (graph, nodes) {
     return this.context
   }
 
-  this.literal = function () {
+  this.literal = function (literalOptions) {
     if (!this.context) {
       return undefined
     }
 
+    var compact = literalOptions && literalOptions.compact
+
     return this.context
       .map(function (node) {
-        return node.nominalValue
+        return literalValue(node, options, compact)
       })
   }
 
-  this.removeIn = function (predicate) {
-    if (predicate) {
-      predicate = node(toArray(predicate))
+  this.native = function () {
+    if (!this.context) {
+      return undefined
     }
 
-    this.nodes().forEach(function (o) {
-      if (predicate) {
-        predicate.forEach(function (p) {
-          graph.removeMatches(null, p, o)
-        })
-      } else {
-        graph.removeMatches(null, null, o)
+    return this.context.map(nativeValue)
+  }
+
+  this.toArray = function () {
+    return this.nodes().map(function (node) {
+      return clownface.Store(store, node, options)
+    })
+  }
+
+  this[Symbol.iterator] = function () {
+    return this.toArray()[Symbol.iterator]()
+  }
+
+  this.forEach = function (callback) {
+    return this.toArray().forEach(callback)
+  }
+
+  this.map = function (callback) {
+    return this.toArray().map(callback)
+  }
+
+  this.toString = function (literalOptions) {
+    return this.literal(literalOptions).join()
+  }
+}
+
+function variableName (iri) {
+  var name = iri.split(/[#\/:]/).pop().replace(/[^A-Za-z0-9_]/g, '')
+
+  return /^[A-Za-z_]/.test(name) ? name : 'v' + name
+}
+
+clownface.Query = function (options, query) {
+  if (!(this instanceof clownface.Query)) {
+    return new clownface.Query(options, query)
+  }
+
+  options = options || {}
+  query = query || {context: null, where: [], variables: []}
+
+  this.context = query.context
+
+  var variable = function (variables, name) {
+    var unique = name
+    var count = 1
+
+    while (variables.indexOf(unique) !== -1) {
+      unique = name + (++count)
+    }
+
+    variables.push(unique)
+
+    return '?' + unique
+  }
+
+  // adds the patterns and switches to the new context, the existing query is not changed
+  var step = function (build, fresh) {
+    var where = fresh ? [] : query.where.slice()
+    var variables = fresh ? [] : query.variables.slice()
+
+    var patterns = {
+      variable: function (name) {
+        return variable(variables, name)
+      },
+      triple: function (subject, predicate, object) {
+        where.push({type: 'triple', text: subject + ' ' + predicate + ' ' + object + ' .'})
+      },
+      values: function (variable, values) {
+        where.push({type: 'values', text: 'VALUES ' + variable + ' { ' + values.map(terms.key).join(' ') + ' }'})
+      },
+      filter: function (expression) {
+        where.push({type: 'filter', text: 'FILTER (' + expression + ')'})
+      }
+    }
+
+    var context = build(patterns)
+
+    return clownface.Query(options, {context: context, where: where, variables: variables})
+  }
+
+  var termOrVariable = function (patterns, name, values) {
+    // blank nodes are variables in patterns and not allowed in VALUES
+    values.forEach(function (value) {
+      if (terms.termType(value) === 'BlankNode') {
+        throw new Error('blank nodes can not be used in queries: ' + terms.key(value))
       }
     })
 
-    return this
+    if (values.length === 1) {
+      return terms.key(values[0])
+    }
+
+    var term = patterns.variable(name)
+
+    patterns.values(term, values)
+
+    return term
   }
 
-  this.removeOut = function (predicate) {
-    if (predicate) {
-      predicate = node(toArray(predicate))
+  var link = function (predicate, value, inverse, keep) {
+    if (!query.context) {
+      throw new Error('query requires a start node')
     }
 
-    this.nodes().forEach(function (s) {
-      if (predicate) {
-        predicate.forEach(function (p) {
-          graph.removeMatches(s, p, null)
-        })
+    if (!predicate) {
+      throw new Error('predicate missing')
+    }
+
+    predicate = predicateNode(toArray(predicate), options)
+
+    return step(function (patterns) {
+      var name = variableName(terms.value(predicate[0]))
+      var p = termOrVariable(patterns, name + 'Predicate', predicate)
+      var target
+
+      if (isNil(value) || value instanceof RegExp) {
+        target = patterns.variable(name)
+      } else {
+        target = termOrVariable(patterns, name, node(toArray(value), options))
+      }
+
+      if (inverse) {
+        patterns.triple(target, p, query.context)
       } else {
-        graph.removeMatches(s, null, null)
+        patterns.triple(query.context, p, target)
+      }
+
+      if (value instanceof RegExp) {
+        var flags = (value.ignoreCase ? 'i' : '') + (value.multiline ? 'm' : '') + (value.dotAll ? 's' : '')
+
+        patterns.filter('regex(str(' + target + '), ' + JSON.stringify(value.source) + (flags ? ', "' + flags + '"' : '') + ')')
       }
+
+      return keep ? query.context : target
     })
+  }
 
-    return this
+  this.node = function (value) {
+    return step(function (patterns) {
+      return termOrVariable(patterns, 'node', node(toArray(value), options))
+    }, true)
   }
 
-  this.toArray = function () {
-    return this.nodes().map(this.node)
+  this.in = function (predicate) {
+    return link(predicate, null, true)
   }
 
-  this.filter = function (callback) {
-    return clownface.Graph(graph, this.toArray().filter(callback).map(function (cf) {
-      return cf.context.shift()
-    }))
+  this.out = function (predicate) {
+    return link(predicate, null, false)
   }
 
-  this.forEach = function (callback) {
-    return this.toArray().forEach(callback)
+  this.has = function (predicate, value) {
+    return link(predicate, value, false, true)
   }
 
-  this.map = function (callback) {
-    return this.toArray().map(callback)
+  this.hasIn = function (predicate, value) {
+    return link(predicate, value, true, true)
+  }
+
+  var where = function () {
+    var result = query.where.slice()
+    var context = query.context
+
+    if (!context) {
+      throw new Error('query requires a start node')
+    }
+
+    // a single start node without variable is bound to a variable to select it
+    if (context[0] !== '?') {
+      var variables = query.variables.slice()
+
+      result.unshift({type: 'values', text: 'VALUES ' + variable(variables, 'node') + ' { ' + context + ' }'})
+      context = '?' + variables.pop()
+    }
+
+    return {
+      context: context,
+      text: 'WHERE {\n' + result.map(function (pattern) {
+        return '  ' + pattern.text + '\n'
+      }).join('') + '}'
+    }
+  }
+
+  this.select = function () {
+    var result = where()
+
+    return 'SELECT DISTINCT ' + result.context + ' ' + result.text
+  }
+
+  this.construct = function () {
+    return 'CONSTRUCT {\n' + query.where.filter(function (pattern) {
+      return pattern.type === 'triple'
+    }).map(function (pattern) {
+      return '  ' + pattern.text + '\n'
+    }).join('') + '} ' + where().text
   }
 
   this.toString = function () {
-    return this.literal().join()
+    return this.select()
   }
 }
 
-clownface.Store = function (store, nodes) {
-  if (!(this instanceof clownface.Store)) {
-    return new clownface.Store(store, nodes)
+clownface.query = function (options) {
+  return clownface.Query(options)
+}
+
+function bindingNode (binding, options) {
+  var termFactory = option(options, 'factory')
+
+  if (binding.type === 'uri') {
+    return termFactory.namedNode(binding.value)
   }
 
-  this.context = toArray(nodes)
+  if (binding.type === 'bnode') {
+    return blankNode(binding.value, options)
+  }
 
-  this.store = function () {
-    return store
+  return termFactory.literal(binding.value, binding['xml:lang'] || (binding.datatype ? termFactory.namedNode(binding.datatype) : null))
+}
+
+function sparqlSelect (endpoint, query) {
+  var fetch = endpoint.fetch || global.fetch
+
+  return fetch(endpoint.url, {
+    method: 'POST',
+    headers: {
+      'accept': 'application/sparql-results+json',
+      'content-type': 'application/x-www-form-urlencoded'
+    },
+    body: 'query=' + encodeURIComponent(query)
+  }).then(function (res) {
+    if (!res.ok) {
+      throw new Error('SPARQL request failed: ' + res.status)
+    }
+
+    return res.json()
+  }).then(function (result) {
+    return result.results.bindings
+  })
+}
+
+clownface.SparqlStore = function (endpoint, nodes, options) {
+  if (!(this instanceof clownface.SparqlStore)) {
+    return new clownface.SparqlStore(endpoint, nodes, options)
   }
 
-  this.graphs = function () {
-    var unique = []
+  options = options || {}
 
-    this.nodes().forEach(function (item) {
-      if (unique.indexOf(item.graph) === -1) {
-        unique.push(item.graph)
+  // the result cache is created once and shared with all derived objects, the options of the GraphCache limit it
+  if (!(options.cache instanceof GraphCache)) {
+    options = extend(options, {
+      cache: new GraphCache(typeof options.cache === 'object' ? options.cache : null)
+    })
+  }
+
+  this.context = node(toArray(nodes), options)
+
+  // one query per batch of context nodes without cached or pending results, cached per node, direction and predicates
+  var step = function (nodes, predicate, inverse) {
+    var from = inverse ? '?object' : '?subject'
+    var to = inverse ? '?subject' : '?object'
+    var predicateKey = predicate ? predicate.map(TripleIndex.termKey).join(' ') : '*'
+    var missing = []
+    var pending = Object.create(null)
+    var entries = Object.create(null)
+
+    var cacheKey = function (term) {
+      return (inverse ? 'in ' : 'out ') + predicateKey + ' ' + TripleIndex.termKey(term)
+    }
+
+    // blank nodes of the endpoint can't be used in queries
+    nodes.forEach(function (term) {
+      var key = cacheKey(term)
+
+      if (terms.termType(term) === 'BlankNode' || key in entries) {
+        return
       }
+
+      entries[key] = options.cache.get(key, function () {
+        missing.push(term)
+
+        return new Promise(function (resolve, reject) {
+          pending[key] = {resolve: resolve, reject: reject}
+        })
+      })
     })
 
-    return unique
-  }
+    var batches = []
+    var batchSize = endpoint.batchSize || 100
 
-  this.node = function (value, graphIri, then) {
-    var graphIris = toArray(graphIri || value.graphIri || value)
+    for (var offset = 0; offset < missing.length; offset += batchSize) {
+      batches.push(missing.slice(offset, offset + batchSize))
+    }
 
-    return Promise.all(graphIris.map(function (graphIri) {
-      return store.graph(graphIri)
-    })).then(function (graphs) {
-      var nodes = []
+    batches.forEach(function (batch) {
+      var query = 'SELECT ?subject ?predicate ?object WHERE {\n' +
+        '  VALUES ' + from + ' { ' + batch.map(TripleIndex.termKey).join(' ') + ' }\n' +
+        (predicate ? '  VALUES ?predicate { ' + predicate.map(TripleIndex.termKey).join(' ') + ' }\n' : '') +
+        '  ?subject ?predicate ?object .\n' +
+        '}'
 
-      graphs.forEach(function (graph, index) {
-        nodes = nodes.concat(nodeGraph(value, graph, graphIris[index]))
+      var results = Object.create(null)
+
+      batch.forEach(function (term) {
+        results[cacheKey(term)] = []
       })
 
-      if (then) {
-        return Promise.resolve(then(clownface.Store(store, nodes)))
-      } else {
-        return clownface.Store(store, nodes)
-      }
+      sparqlSelect(endpoint, query).then(function (bindings) {
+        bindings.forEach(function (binding) {
+          var key = cacheKey(bindingNode(binding[from.slice(1)], options))
+
+          if (key in results) {
+            results[key].push(bindingNode(binding[to.slice(1)], options))
+          }
+        })
+
+        Object.keys(results).forEach(function (key) {
+          pending[key].resolve(results[key])
+        })
+      }, function (error) {
+        Object.keys(results).forEach(function (key) {
+          pending[key].reject(error)
+        })
+      })
     })
-  }
 
-  this.in = function (predicate) {
-    var matches = []
+    return Promise.all(Object.keys(entries).map(function (key) {
+      return entries[key].then(function (result) {
+        entries[key] = result
+      })
+    })).then(function () {
+      var result = []
 
-    this.nodes().forEach(function (item) {
-      matches = matches.concat(clownface.Graph(item.graph, item).in(predicate).nodes().map(function (match) {
-        return nodeGraph(match, item.graph, item.graphIri)
-      }))
+      nodes.forEach(function (term) {
+        result = result.concat(entries[cacheKey(term)] || [])
+      })
+
+      return clownface.SparqlStore(endpoint, result, options)
     })
+  }
 
-    return clownface.Store(store, matches)
+  this.endpoint = function () {
+    return endpoint
   }
 
-  this.out = function (predicate) {
-    var matches = []
+  this.prefixes = function () {
+    return option(options, 'prefixes')
+  }
 
-    this.nodes().forEach(function (item) {
-      matches = matches.concat(clownface.Graph(item.graph, item).out(predicate).nodes().map(function (match) {
-        return nodeGraph(match, item.graph, item.graphIri)
-      }))
-    })
+  this.node = function (value) {
+    return clownface.SparqlStore(endpoint, value, options)
+  }
 
-    return clownface.Store(store, matches)
+  this.in = function (predicate) {
+    return step(this.nodes(), predicate && predicateNode(toArray(predicate), options), true)
   }
 
-  this.jump = function (then) {
-    return Promise.all(this.nodes().map(function (item) {
-      return store.graph(item.nominalValue).then(function (graph) {
-        return nodeGraph(item, graph, item.nominalValue)
-      })
-    })).then(function (entries) {
-      if (then) {
-        return Promise.resolve(then(clownface.Store(store, entries)))
-      } else {
-        return clownface.Store(store, entries)
-      }
-    })
+  this.out = function (predicate) {
+    return step(this.nodes(), predicate && predicateNode(toArray(predicate), options), false)
+  }
+
+  this.clearCache = function () {
+    options.cache.invalidate()
+
+    return this
   }
 
   this.nodes = function () {
@@ -285,20 +2288,30 @@ clownface.Store = function (store, nodes) {
     return this.context
   }
 
-  this.literal = function () {
+  this.literal = function (literalOptions) {
     if (!this.context) {
       return undefined
     }
 
+    var compact = literalOptions && literalOptions.compact
+
     return this.context
       .map(function (node) {
-        return node.nominalValue
+        return literalValue(node, options, compact)
       })
   }
 
+  this.native = function () {
+    if (!this.context) {
+      return undefined
+    }
+
+    return this.context.map(nativeValue)
+  }
+
   this.toArray = function () {
     return this.nodes().map(function (node) {
-      return clownface.Store(store, node)
+      return clownface.SparqlStore(endpoint, node, options)
     })
   }
 
@@ -310,8 +2323,8 @@ clownface.Store = function (store, nodes) {
     return this.toArray().map(callback)
   }
 
-  this.toString = function () {
-    return this.literal().join()
+  this.toString = function (literalOptions) {
+    return this.literal(literalOptions).join()
   }
 }
 
@@ -0,0 +1,62 @@
+var dataset = require('./dataset')
+var terms = require('./terms')
+
+// terms of the legacy rdf-ext interface are converted for datasets, which only know the RDF/JS data model
+function rdfjsTerm (term) {
+  if (!term || 'termType' in term) {
+    return term
+  }
+
+  var result = {
+    termType: terms.termType(term),
+    value: terms.value(term),
+    equals: function (other) {
+      return !!other && terms.equals(result, other)
+    }
+  }
+
+  if (result.termType === 'Literal') {
+    result.language = terms.language(term) || ''
+    result.datatype = rdfjsTerm(term.datatype)
+  }
+
+  return result
+}
+
+function unique (values) {
+  return values ? dataset.unique(values).map(rdfjsTerm) : [null]
+}
+
+// the interface of the TripleIndex for datasets with their own match, like RDF/JS datasets and N3.js stores,
+// so changes which are not done with clownface are always seen
+function DatasetIndex (graph) {
+  this.dataset = graph
+}
+
+// only checks if the quad is new, adding it to the dataset is done by the caller
+DatasetIndex.prototype.add = function (quad) {
+  return this.match([quad.subject], [quad.predicate], [quad.object], [quad.graph || dataset.defaultGraph]).length === 0
+}
+
+DatasetIndex.prototype.remove = function () {
+  return true
+}
+
+DatasetIndex.prototype.match = function (subjects, predicates, objects, graphs) {
+  var graph = this.dataset
+  var result = []
+
+  unique(subjects).forEach(function (subject) {
+    unique(predicates).forEach(function (predicate) {
+      unique(objects).forEach(function (object) {
+        unique(graphs).forEach(function (graphTerm) {
+          result = result.concat(dataset.quads(graph.match(subject, predicate, object, graphTerm)))
+        })
+      })
+    })
+  })
+
+  return result
+}
+
+module.exports = DatasetIndex
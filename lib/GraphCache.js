@@ -0,0 +1,50 @@
+// ttl in milliseconds and size as number of graphs, 0 means no limit
+function GraphCache (options) {
+  options = options || {}
+
+  this.ttl = options.ttl || 0
+  this.size = options.size || 0
+  this.entries = new Map()
+}
+
+// concurrent requests for the same graph share the pending Promise
+GraphCache.prototype.get = function (iri, load) {
+  var self = this
+  var key = iri.toString()
+  var entry = this.entries.get(key)
+
+  if (!entry || (this.ttl && Date.now() - entry.time >= this.ttl)) {
+    entry = {
+      time: Date.now(),
+      graph: Promise.resolve(load(iri)).catch(function (error) {
+        if (self.entries.get(key) === entry) {
+          self.entries.delete(key)
+        }
+
+        throw error
+      })
+    }
+  }
+
+  // the entries are kept in the order of the last access to drop the least recently used first
+  this.entries.delete(key)
+  this.entries.set(key, entry)
+
+  while (this.size && this.entries.size > this.size) {
+    this.entries.delete(this.entries.keys().next().value)
+  }
+
+  return entry.graph
+}
+
+GraphCache.prototype.invalidate = function (iri) {
+  if (iri === undefined || iri === null) {
+    this.entries.clear()
+  } else {
+    this.entries.delete(iri.toString())
+  }
+
+  return this
+}
+
+module.exports = GraphCache
@@ -0,0 +1,157 @@
+var terms = require('./terms')
+var termKey = terms.key
+
+function tripleKey (triple) {
+  return termKey(triple.subject) + ' ' + termKey(triple.predicate) + ' ' + termKey(triple.object)
+}
+
+function quadKey (quad) {
+  return tripleKey(quad) + (quad.graph ? ' ' + termKey(quad.graph) : '')
+}
+
+function invert (changes) {
+  return changes.slice().reverse().map(function (change) {
+    return {
+      event: change.event === 'added' ? 'removed' : 'added',
+      triples: change.triples
+    }
+  })
+}
+
+function data (operation, triples) {
+  return operation + ' DATA {\n' + triples.map(function (triple) {
+    if (triple.graph && terms.termType(triple.graph) === 'NamedNode') {
+      return '  GRAPH ' + termKey(triple.graph) + ' { ' + tripleKey(triple) + ' . }\n'
+    }
+
+    return '  ' + tripleKey(triple) + ' .\n'
+  }).join('') + '}'
+}
+
+// apply is called with the changes to undo or redo, recording is done by the owner of the graph,
+// the factory creates the datasets of the patch
+function History (apply, factory) {
+  this.apply = apply
+  this.factory = factory
+  this.done = []
+  this.undone = []
+}
+
+History.prototype.record = function (changes) {
+  if (changes.length === 0) {
+    return
+  }
+
+  this.done.push(changes)
+  this.undone = []
+}
+
+History.prototype.canUndo = function () {
+  return this.done.length !== 0
+}
+
+History.prototype.canRedo = function () {
+  return this.undone.length !== 0
+}
+
+History.prototype.undo = function () {
+  if (!this.canUndo()) {
+    return false
+  }
+
+  var changes = this.done.pop()
+
+  this.apply(invert(changes))
+  this.undone.push(changes)
+
+  return true
+}
+
+History.prototype.redo = function () {
+  if (!this.canRedo()) {
+    return false
+  }
+
+  var changes = this.undone.pop()
+
+  this.apply(changes)
+  this.done.push(changes)
+
+  return true
+}
+
+History.prototype.clear = function () {
+  this.done = []
+  this.undone = []
+}
+
+// the net changes of all steps which are not undone, triples added and removed again cancel out
+function netChanges (done) {
+  var inserts = Object.create(null)
+  var deletes = Object.create(null)
+
+  done.forEach(function (changes) {
+    changes.forEach(function (change) {
+      change.triples.forEach(function (triple) {
+        var key = quadKey(triple)
+
+        if (change.event === 'added') {
+          if (key in deletes) {
+            delete deletes[key]
+          } else {
+            inserts[key] = triple
+          }
+        } else {
+          if (key in inserts) {
+            delete inserts[key]
+          } else {
+            deletes[key] = triple
+          }
+        }
+      })
+    })
+  })
+
+  return {
+    insert: Object.keys(inserts).map(function (key) {
+      return inserts[key]
+    }),
+    delete: Object.keys(deletes).map(function (key) {
+      return deletes[key]
+    })
+  }
+}
+
+History.prototype.patch = function () {
+  var changes = netChanges(this.done)
+
+  return {
+    insert: this.factory.dataset(changes.insert),
+    delete: this.factory.dataset(changes.delete)
+  }
+}
+
+History.prototype.toSparql = function () {
+  var changes = netChanges(this.done)
+  var operations = []
+
+  if (changes.delete.length !== 0) {
+    changes.delete.forEach(function (triple) {
+      if (terms.termType(triple.subject) === 'BlankNode' || terms.termType(triple.object) === 'BlankNode') {
+        throw new Error('blank nodes can not be deleted with DELETE DATA')
+      }
+    })
+
+    operations.push(data('DELETE', changes.delete))
+  }
+
+  if (changes.insert.length !== 0) {
+    operations.push(data('INSERT', changes.insert))
+  }
+
+  return operations.join(' ;\n')
+}
+
+History.invert = invert
+
+module.exports = History
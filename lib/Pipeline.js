@@ -0,0 +1,227 @@
+var Readable = require('stream').Readable
+var termKey = require('./terms').key
+
+function arrayIterator (array) {
+  var index = 0
+
+  return {
+    next: function () {
+      if (index < array.length) {
+        return {value: array[index++], done: false}
+      }
+
+      return {value: undefined, done: true}
+    }
+  }
+}
+
+// lazy chain of steps, the terms are only computed when the pipeline is consumed,
+// iterate returns an iterator of terms and wrap creates the pointer for a term
+function Pipeline (iterate, wrap) {
+  this.iterate = iterate
+  this.wrap = wrap
+}
+
+Pipeline.from = function (terms, wrap) {
+  return new Pipeline(function () {
+    return arrayIterator(terms)
+  }, wrap)
+}
+
+Pipeline.prototype.pipe = function (next) {
+  var iterate = this.iterate
+
+  return new Pipeline(function () {
+    return next(iterate())
+  }, this.wrap)
+}
+
+// callback is called with the pointer of a term and returns an array of terms
+Pipeline.prototype.flatMap = function (callback) {
+  var wrap = this.wrap
+
+  return this.pipe(function (source) {
+    var current = arrayIterator([])
+
+    return {
+      next: function () {
+        for (var step = current.next(); step.done; step = current.next()) {
+          var item = source.next()
+
+          if (item.done) {
+            return item
+          }
+
+          current = arrayIterator(callback(wrap(item.value)))
+        }
+
+        return step
+      }
+    }
+  })
+}
+
+Pipeline.prototype.filter = function (callback) {
+  var wrap = this.wrap
+
+  return this.pipe(function (source) {
+    return {
+      next: function () {
+        for (var step = source.next(); !step.done; step = source.next()) {
+          if (callback(wrap(step.value))) {
+            return step
+          }
+        }
+
+        return step
+      }
+    }
+  })
+}
+
+Pipeline.prototype.distinct = function () {
+  return this.pipe(function (source) {
+    var seen = Object.create(null)
+
+    return {
+      next: function () {
+        for (var step = source.next(); !step.done; step = source.next()) {
+          var key = termKey(step.value)
+
+          if (!(key in seen)) {
+            seen[key] = true
+
+            return step
+          }
+        }
+
+        return step
+      }
+    }
+  })
+}
+
+Pipeline.prototype.limit = function (count) {
+  return this.pipe(function (source) {
+    var index = 0
+
+    return {
+      next: function () {
+        if (index++ >= count) {
+          return {value: undefined, done: true}
+        }
+
+        return source.next()
+      }
+    }
+  })
+}
+
+Pipeline.prototype.in = function (predicate) {
+  return this.flatMap(function (pointer) {
+    return pointer.in(predicate).nodes()
+  })
+}
+
+Pipeline.prototype.out = function (predicate) {
+  return this.flatMap(function (pointer) {
+    return pointer.out(predicate).nodes()
+  })
+}
+
+Pipeline.prototype.path = function (expression) {
+  return this.flatMap(function (pointer) {
+    return pointer.path(expression).nodes()
+  })
+}
+
+Pipeline.prototype.has = function (predicate, value) {
+  return this.filter(function (pointer) {
+    return pointer.has(predicate, value).nodes().length !== 0
+  })
+}
+
+Pipeline.prototype.hasIn = function (predicate, value) {
+  return this.filter(function (pointer) {
+    return pointer.hasIn(predicate, value).nodes().length !== 0
+  })
+}
+
+Pipeline.prototype[Symbol.iterator] = function () {
+  var source = this.iterate()
+  var wrap = this.wrap
+
+  var iterator = {
+    next: function () {
+      var step = source.next()
+
+      return step.done ? step : {value: wrap(step.value), done: false}
+    }
+  }
+
+  iterator[Symbol.iterator] = function () {
+    return iterator
+  }
+
+  return iterator
+}
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  Pipeline.prototype[Symbol.asyncIterator] = function () {
+    var source = this[Symbol.iterator]()
+
+    var iterator = {
+      next: function () {
+        return new Promise(function (resolve) {
+          resolve(source.next())
+        })
+      }
+    }
+
+    iterator[Symbol.asyncIterator] = function () {
+      return iterator
+    }
+
+    return iterator
+  }
+}
+
+Pipeline.prototype.forEach = function (callback) {
+  var iterator = this[Symbol.iterator]()
+
+  for (var step = iterator.next(); !step.done; step = iterator.next()) {
+    callback(step.value)
+  }
+}
+
+Pipeline.prototype.toArray = function () {
+  var result = []
+
+  this.forEach(function (pointer) {
+    result.push(pointer)
+  })
+
+  return result
+}
+
+// readable stream of pointers in object mode, the next pointer is computed when the stream is read
+Pipeline.prototype.toStream = function () {
+  var iterator = this[Symbol.iterator]()
+
+  return new Readable({
+    objectMode: true,
+    read: function () {
+      var step
+
+      try {
+        step = iterator.next()
+      } catch (error) {
+        return this.destroy(error)
+      }
+
+      this.push(step.done ? null : step.value)
+    }
+  })
+}
+
+module.exports = Pipeline
@@ -0,0 +1,175 @@
+var termKey = require('./terms').key
+
+// triples and quads in the default graph have the same key
+function graphKey (triple) {
+  return triple.graph ? termKey(triple.graph) : ''
+}
+
+function keys (terms) {
+  if (!terms) {
+    return null
+  }
+
+  var seen = Object.create(null)
+  var result = []
+
+  terms.forEach(function (term) {
+    var key = termKey(term)
+
+    if (!(key in seen)) {
+      seen[key] = true
+      result.push(key)
+    }
+  })
+
+  return result
+}
+
+function addEntry (root, a, b, c, g, triple) {
+  var level1 = root[a] = root[a] || Object.create(null)
+  var level2 = level1[b] = level1[b] || Object.create(null)
+  var level3 = level2[c] = level2[c] || Object.create(null)
+
+  if (g in level3) {
+    return false
+  }
+
+  level3[g] = triple
+
+  return true
+}
+
+function removeEntry (root, a, b, c, g) {
+  if (!(a in root) || !(b in root[a]) || !(c in root[a][b]) || !(g in root[a][b][c])) {
+    return false
+  }
+
+  delete root[a][b][c][g]
+
+  if (Object.keys(root[a][b][c]).length === 0) {
+    delete root[a][b][c]
+
+    if (Object.keys(root[a][b]).length === 0) {
+      delete root[a][b]
+
+      if (Object.keys(root[a]).length === 0) {
+        delete root[a]
+      }
+    }
+  }
+
+  return true
+}
+
+function collect (root, aKeys, bKeys, cKeys, gKeys, result) {
+  (aKeys || Object.keys(root)).forEach(function (a) {
+    var level1 = root[a]
+
+    if (!level1) {
+      return
+    }
+
+    (bKeys || Object.keys(level1)).forEach(function (b) {
+      var level2 = level1[b]
+
+      if (!level2) {
+        return
+      }
+
+      (cKeys || Object.keys(level2)).forEach(function (c) {
+        var level3 = level2[c]
+
+        if (!level3) {
+          return
+        }
+
+        (gKeys || Object.keys(level3)).forEach(function (g) {
+          if (g in level3) {
+            result.push(level3[g])
+          }
+        })
+      })
+    })
+  })
+
+  return result
+}
+
+function TripleIndex (triples) {
+  var self = this
+
+  this.size = 0
+  this.spo = Object.create(null)
+  this.pos = Object.create(null)
+  this.osp = Object.create(null)
+
+  this.action = {
+    run: function (triple) {
+      self.add(triple)
+    }
+  }
+
+  if (triples) {
+    triples.forEach(function (triple) {
+      self.add(triple)
+    })
+  }
+}
+
+TripleIndex.prototype.add = function (triple) {
+  var s = termKey(triple.subject)
+  var p = termKey(triple.predicate)
+  var o = termKey(triple.object)
+  var g = graphKey(triple)
+
+  if (!addEntry(this.spo, s, p, o, g, triple)) {
+    return false
+  }
+
+  addEntry(this.pos, p, o, s, g, triple)
+  addEntry(this.osp, o, s, p, g, triple)
+
+  this.size++
+
+  return true
+}
+
+TripleIndex.prototype.remove = function (triple) {
+  var s = termKey(triple.subject)
+  var p = termKey(triple.predicate)
+  var o = termKey(triple.object)
+  var g = graphKey(triple)
+
+  if (!removeEntry(this.spo, s, p, o, g)) {
+    return false
+  }
+
+  removeEntry(this.pos, p, o, s, g)
+  removeEntry(this.osp, o, s, p, g)
+
+  this.size--
+
+  return true
+}
+
+// subjects, predicates, objects and graphs are arrays of terms or null to match any term
+TripleIndex.prototype.match = function (subjects, predicates, objects, graphs) {
+  var s = keys(subjects)
+  var p = keys(predicates)
+  var o = keys(objects)
+  var g = keys(graphs)
+
+  if (s) {
+    return collect(this.spo, s, p, o, g, [])
+  }
+
+  if (p) {
+    return collect(this.pos, p, o, null, g, [])
+  }
+
+  return collect(this.osp, o, null, null, g, [])
+}
+
+TripleIndex.termKey = termKey
+
+module.exports = TripleIndex
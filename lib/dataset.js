@@ -0,0 +1,55 @@
+// helpers shared by the traversal and the indexes to read graphs, datasets and their terms
+var terms = require('./terms')
+
+var dataset = {}
+
+dataset.defaultGraph = {termType: 'DefaultGraph', value: ''}
+
+dataset.keySet = function (nodes, key) {
+  var keys = Object.create(null)
+
+  nodes.forEach(function (node) {
+    keys[key(node)] = true
+  })
+
+  return keys
+}
+
+dataset.unique = function (nodes, exclude, key) {
+  key = key || terms.key
+
+  var seen = dataset.keySet(exclude || [], key)
+
+  return nodes.filter(function (node) {
+    var nodeKey = key(node)
+
+    if (nodeKey in seen) {
+      return false
+    }
+
+    seen[nodeKey] = true
+
+    return true
+  })
+}
+
+// rdf-ext graphs, RDF/JS datasets and N3.js stores have forEach, RDF/JS dataset cores are only iterable
+dataset.quads = function (graph) {
+  var result = []
+
+  if (typeof graph.forEach === 'function') {
+    graph.forEach(function (quad) {
+      result.push(quad)
+    })
+  } else {
+    var iterator = graph[Symbol.iterator]()
+
+    for (var step = iterator.next(); !step.done; step = iterator.next()) {
+      result.push(step.value)
+    }
+  }
+
+  return result
+}
+
+module.exports = dataset
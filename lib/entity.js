@@ -0,0 +1,74 @@
+function definition (value) {
+  if (typeof value === 'string') {
+    return {path: value}
+  }
+
+  return value
+}
+
+// lazy types are functions returning the class, to support recursive definitions
+function entityType (property) {
+  return property.lazy ? property.type() : property.type
+}
+
+function read (pointer, property) {
+  var values = pointer.out(property.path)
+  var Type = entityType(property)
+  var result
+
+  if (Type) {
+    result = values.toArray().map(function (value) {
+      return new Type(value)
+    })
+  } else {
+    result = values.native()
+  }
+
+  return property.many ? result : result[0]
+}
+
+function write (pointer, property, value) {
+  pointer.removeOut(property.path)
+
+  if (value === null || value === undefined) {
+    return
+  }
+
+  var values = property.many && Array.isArray(value) ? value : [value]
+
+  pointer.addOut(property.path, values.map(function (value) {
+    return value && value.pointer ? value.pointer : value
+  }))
+}
+
+function entity (properties) {
+  var Entity = function (pointer) {
+    if (!(this instanceof Entity)) {
+      return new Entity(pointer)
+    }
+
+    if (!pointer || pointer.nodes().length !== 1) {
+      throw new Error('entity requires exactly one node')
+    }
+
+    Object.defineProperty(this, 'pointer', {value: pointer})
+  }
+
+  Entity.properties = properties
+
+  Object.keys(properties).forEach(function (name) {
+    Object.defineProperty(Entity.prototype, name, {
+      enumerable: true,
+      get: function () {
+        return read(this.pointer, definition(Entity.properties[name]))
+      },
+      set: function (value) {
+        write(this.pointer, definition(Entity.properties[name]), value)
+      }
+    })
+  })
+
+  return Entity
+}
+
+module.exports = entity
@@ -0,0 +1,44 @@
+var rdf = require('rdf-ext')
+var terms = require('./terms')
+
+// rdf-ext with the interface of the RDF/JS DataFactory and the dataset method of the DatasetCoreFactory
+var factory = {}
+
+factory.namedNode = function (iri) {
+  return rdf.createNamedNode(iri)
+}
+
+// generated labels get a prefix, so they don't clash with the labels given by the user
+factory.blankNode = function (label) {
+  var term = rdf.createBlankNode()
+
+  if (label !== null && label !== undefined) {
+    term.nominalValue = label + ''
+  } else {
+    term.nominalValue = 'cf-' + term.nominalValue
+  }
+
+  return term
+}
+
+factory.literal = function (value, languageOrDatatype) {
+  if (typeof languageOrDatatype === 'string') {
+    return rdf.createLiteral(value, languageOrDatatype)
+  }
+
+  return rdf.createLiteral(value, null, languageOrDatatype ? terms.value(languageOrDatatype) : null)
+}
+
+factory.quad = function (subject, predicate, object, graph) {
+  if (graph && terms.termType(graph) !== 'DefaultGraph') {
+    return rdf.createQuad(subject, predicate, object, graph)
+  }
+
+  return rdf.createTriple(subject, predicate, object)
+}
+
+factory.dataset = function (quads) {
+  return rdf.createGraph(quads)
+}
+
+module.exports = factory
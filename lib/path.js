@@ -0,0 +1,183 @@
+var terms = require('./terms')
+
+var path = {}
+
+function element (value) {
+  if (Array.isArray(value)) {
+    return path.sequence(value)
+  }
+
+  if (typeof value === 'object' && value.type && !terms.isTerm(value)) {
+    return value
+  }
+
+  return path.predicate(value)
+}
+
+function create (type, value) {
+  if (type === 'predicate') {
+    return {type: type, predicate: value}
+  }
+
+  if (type === 'sequence' || type === 'alternative') {
+    return {type: type, paths: value.map(element)}
+  }
+
+  return {type: type, path: element(value)}
+}
+
+path.from = function (value) {
+  if (typeof value === 'string') {
+    return path.parse(value)
+  }
+
+  return element(value)
+}
+
+path.predicate = function (predicate) {
+  return create('predicate', predicate)
+}
+
+path.sequence = function (paths) {
+  return create('sequence', Array.isArray(paths) ? paths : Array.prototype.slice.call(arguments))
+}
+
+path.alternative = function (paths) {
+  return create('alternative', Array.isArray(paths) ? paths : Array.prototype.slice.call(arguments))
+}
+
+path.inverse = function (value) {
+  return create('inverse', value)
+}
+
+path.zeroOrMore = function (value) {
+  return create('zeroOrMore', value)
+}
+
+path.oneOrMore = function (value) {
+  return create('oneOrMore', value)
+}
+
+path.zeroOrOne = function (value) {
+  return create('zeroOrOne', value)
+}
+
+var modifiers = {
+  '*': path.zeroOrMore,
+  '+': path.oneOrMore,
+  '?': path.zeroOrOne
+}
+
+function tokenize (expression) {
+  var tokens = []
+  var regex = /\s*(<[^>]*>|[\/|^()*+?]|[^\s\/|^()*+?<>]+)\s*/g
+  var position = 0
+  var result
+
+  while (position < expression.length && (result = regex.exec(expression)) !== null && result.index === position) {
+    tokens.push(result[1])
+    position = regex.lastIndex
+  }
+
+  if (position !== expression.length) {
+    throw new Error('invalid path expression: ' + expression)
+  }
+
+  return tokens
+}
+
+// full IRIs must be written in angle brackets, prefixed names are expanded by the pointer
+path.parse = function (expression) {
+  var tokens = tokenize(expression)
+  var position = 0
+
+  function error (message) {
+    return new Error(message + ' in path expression: ' + expression)
+  }
+
+  function accept (token) {
+    if (tokens[position] === token) {
+      position++
+
+      return true
+    }
+
+    return false
+  }
+
+  function parsePrimary () {
+    var token = tokens[position++]
+
+    if (token === undefined) {
+      throw error('unexpected end')
+    }
+
+    if (token === '(') {
+      var group = parseAlternative()
+
+      if (!accept(')')) {
+        throw error('missing )')
+      }
+
+      return group
+    }
+
+    if (token[0] === '<') {
+      return path.predicate(token.slice(1, -1))
+    }
+
+    if (token === 'a') {
+      return path.predicate('http://www.w3.org/1999/02/22-rdf-syntax-ns#type')
+    }
+
+    if (/^[\/|^)*+?]$/.test(token)) {
+      throw error('unexpected ' + token)
+    }
+
+    return path.predicate(token)
+  }
+
+  function parseElement () {
+    if (accept('^')) {
+      return path.inverse(parseElement())
+    }
+
+    var element = parsePrimary()
+
+    if (tokens[position] in modifiers) {
+      element = modifiers[tokens[position++]](element)
+    }
+
+    return element
+  }
+
+  function parseSequence () {
+    var elements = [parseElement()]
+
+    while (accept('/')) {
+      elements.push(parseElement())
+    }
+
+    return elements.length === 1 ? elements[0] : path.sequence(elements)
+  }
+
+  function parseAlternative () {
+    var sequences = [parseSequence()]
+
+    while (accept('|')) {
+      sequences.push(parseSequence())
+    }
+
+    return sequences.length === 1 ? sequences[0] : path.alternative(sequences)
+  }
+
+  var result = parseAlternative()
+
+  if (position !== tokens.length) {
+    throw error('unexpected ' + tokens[position])
+  }
+
+  return result
+}
+
+module.exports = path
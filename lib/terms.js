@@ -0,0 +1,84 @@
+// access to the terms of the RDF/JS data model and the legacy rdf-ext interface
+var terms = {}
+
+var plainTypes = [
+  'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString',
+  'http://www.w3.org/2001/XMLSchema#string'
+]
+
+function encode (value) {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+}
+
+terms.termType = function (term) {
+  return term.termType || term.interfaceName
+}
+
+terms.value = function (term) {
+  return 'termType' in term ? term.value : term.nominalValue
+}
+
+terms.isTerm = function (value) {
+  return typeof value === 'object' && value !== null && typeof terms.termType(value) === 'string'
+}
+
+terms.language = function (term) {
+  return term.language || null
+}
+
+// the IRI of the datatype or null for simple and language tagged literals
+terms.datatype = function (term) {
+  if (terms.termType(term) !== 'Literal' || !term.datatype) {
+    return null
+  }
+
+  var datatype = terms.value(term.datatype)
+
+  return plainTypes.indexOf(datatype) === -1 ? datatype : null
+}
+
+// the IRI of the datatype, also the implied one of simple and language tagged literals
+terms.effectiveDatatype = function (term) {
+  if (terms.termType(term) !== 'Literal') {
+    return null
+  }
+
+  return terms.datatype(term) || plainTypes[terms.language(term) ? 0 : 1]
+}
+
+// N-Triples like key, equal for equal terms of both data models
+terms.key = function (term) {
+  var termType = terms.termType(term)
+
+  if (termType === 'NamedNode') {
+    return '<' + terms.value(term) + '>'
+  }
+
+  if (termType === 'BlankNode') {
+    return '_:' + terms.value(term)
+  }
+
+  if (termType === 'Literal') {
+    var language = terms.language(term)
+    var datatype = terms.datatype(term)
+
+    return '"' + encode(terms.value(term) + '') + '"' + (language ? '@' + language : datatype ? '^^<' + datatype + '>' : '')
+  }
+
+  if (termType === 'Variable') {
+    return '?' + terms.value(term)
+  }
+
+  return ''
+}
+
+terms.equals = function (a, b) {
+  return terms.key(a) === terms.key(b)
+}
+
+module.exports = terms
@@ -1,4 +1,4 @@
-/* global before, describe, it */
+/* global before, describe, it, Intl */
 var assert = require('assert')
 var clownface = require('../')
 var rdf = require('rdf-ext')
@@ -91,6 +91,77 @@ describe('clownface', function () {
       assert.equal(result[0].nominalValue, '123')
     })
 
+    it('should create typed literal node context from number', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node([123, 1.5]).nodes()
+
+      assert.equal(result[0].datatype.nominalValue, 'http://www.w3.org/2001/XMLSchema#integer')
+      assert.equal(result[1].datatype.nominalValue, 'http://www.w3.org/2001/XMLSchema#decimal')
+      assert.equal(result[1].nominalValue, '1.5')
+    })
+
+    it('should create double literals from numbers without decimal lexical form', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node([NaN, Infinity, -Infinity, 1e21, 1e-7]).nodes()
+
+      assert.deepEqual(result.map(function (literal) {
+        return literal.nominalValue
+      }), ['NaN', 'INF', '-INF', '1e+21', '1e-7'])
+      result.forEach(function (literal) {
+        assert.equal(literal.datatype.nominalValue, 'http://www.w3.org/2001/XMLSchema#double')
+      })
+      assert.deepEqual(cf.node([Infinity, -Infinity, 1e21]).native(), [Infinity, -Infinity, 1e21])
+    })
+
+    it('should create typed literal node context from boolean', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node(false).nodes()
+
+      assert.equal(result.length, 1)
+      assert.equal(result[0].interfaceName, 'Literal')
+      assert.equal(result[0].nominalValue, 'false')
+      assert.equal(result[0].datatype.nominalValue, 'http://www.w3.org/2001/XMLSchema#boolean')
+    })
+
+    it('should create typed literal node context from Date', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node(new Date('2016-01-14T12:00:00Z')).nodes()
+
+      assert.equal(result.length, 1)
+      assert.equal(result[0].interfaceName, 'Literal')
+      assert.equal(result[0].nominalValue, '2016-01-14T12:00:00.000Z')
+      assert.equal(result[0].datatype.nominalValue, 'http://www.w3.org/2001/XMLSchema#dateTime')
+    })
+
+    it('should create language-tagged literal node context from object', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node({value: 'Hallo', language: 'de'}).nodes()
+
+      assert.equal(result.length, 1)
+      assert.equal(result[0].interfaceName, 'Literal')
+      assert.equal(result[0].nominalValue, 'Hallo')
+      assert.equal(result[0].language, 'de')
+    })
+
+    it('should create typed literal node context from object', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node([
+        {value: '2016-01-14', datatype: 'http://www.w3.org/2001/XMLSchema#date'},
+        {value: '5', datatype: rdf.createNamedNode('http://www.w3.org/2001/XMLSchema#short')}
+      ]).nodes()
+
+      assert.equal(result[0].nominalValue, '2016-01-14')
+      assert.equal(result[0].datatype.nominalValue, 'http://www.w3.org/2001/XMLSchema#date')
+      assert.equal(result[1].nominalValue, '5')
+      assert.equal(result[1].datatype.nominalValue, 'http://www.w3.org/2001/XMLSchema#short')
+    })
+
     it('should throw an error on unknown type', function () {
       var cf = clownface.Graph(tbbtGraph)
       var result
@@ -116,6 +187,136 @@ describe('clownface', function () {
       assert.equal(result[1].interfaceName, 'Literal')
     })
 
+    it('should detect urn:, mailto: and file: IRIs as named nodes', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node([
+        'urn:isbn:0451450523',
+        'mailto:sheldon@example.org',
+        'file:///home/sheldon/roommate-agreement.txt',
+        'urn: not an IRI'
+      ]).nodes()
+
+      assert.equal(result[0].interfaceName, 'NamedNode')
+      assert.equal(result[1].interfaceName, 'NamedNode')
+      assert.equal(result[2].interfaceName, 'NamedNode')
+      assert.equal(result[3].interfaceName, 'Literal')
+    })
+
+    it('should resolve relative IRIs against the base IRI option', function () {
+      var cf = clownface.Graph(tbbtGraph, null, {baseIri: 'http://localhost:8080/data/person/penny'})
+
+      var result = cf.node(['amy-farrah-fowler', './amy-farrah-fowler', '/data/person/amy-farrah-fowler', '#me']).nodes()
+
+      assert.equal(result[0].interfaceName, 'Literal')
+      assert.equal(result[1].nominalValue, 'http://localhost:8080/data/person/amy-farrah-fowler')
+      assert.equal(result[2].nominalValue, 'http://localhost:8080/data/person/amy-farrah-fowler')
+      assert.equal(result[3].nominalValue, 'http://localhost:8080/data/person/penny#me')
+    })
+
+    it('should not resolve relative IRIs without base IRI', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node('./amy-farrah-fowler').nodes()
+
+      assert.equal(result[0].interfaceName, 'Literal')
+    })
+
+    it('should use the named node detection options of the instance', function () {
+      var http = clownface.Graph(tbbtGraph, null, {namedNodeRegEx: /^http:\/\//})
+      var none = clownface.Graph(tbbtGraph, null, {detectNamedNodes: false})
+
+      assert.equal(http.node('http://example.org/').nodes()[0].interfaceName, 'NamedNode')
+      assert.equal(http.node('urn:example:1').nodes()[0].interfaceName, 'Literal')
+      assert.equal(none.node('http://example.org/').nodes()[0].interfaceName, 'Literal')
+      assert.equal(clownface.Graph(tbbtGraph).node('urn:example:1').nodes()[0].interfaceName, 'NamedNode')
+    })
+
+    it('should use the global options as default', function () {
+      clownface.options.detectNamedNodes = false
+
+      try {
+        var result = clownface.Graph(tbbtGraph).node('http://example.org/').nodes()
+        var override = clownface.Graph(tbbtGraph, null, {detectNamedNodes: true}).node('http://example.org/').nodes()
+
+        assert.equal(result[0].interfaceName, 'Literal')
+        assert.equal(override[0].interfaceName, 'NamedNode')
+      } finally {
+        clownface.options.detectNamedNodes = true
+      }
+    })
+
+    it('should keep the options in derived objects', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/bernadette-rostenkowski', {
+        baseIri: 'http://localhost:8080/data/person/'
+      })
+
+      var result = cf
+        .out('http://schema.org/knows')
+        .filter(function (item) {
+          return item.nodes()[0].equals('http://localhost:8080/data/person/howard-wolowitz')
+        })
+        .in('http://schema.org/knows')
+        .toArray()[0]
+        .node('./penny')
+        .nodes()
+
+      assert.equal(result[0].nominalValue, 'http://localhost:8080/data/person/penny')
+    })
+
+    it('should create blank node context from a _: string', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node('_:b1').nodes()
+
+      assert.equal(result.length, 1)
+      assert.equal(result[0].interfaceName, 'BlankNode')
+      assert.equal(result[0].nominalValue, 'b1')
+    })
+
+    it('should create context from other objects', function () {
+      var cf = clownface.Graph(tbbtGraph)
+      var other = cf.node(['http://localhost:8080/data/person/penny', 'Penny'])
+
+      var result = cf.node([other, 'http://localhost:8080/data/person/howard-wolowitz']).nodes()
+
+      assert.equal(result.length, 3)
+      assert.equal(result[0].nominalValue, 'http://localhost:8080/data/person/penny')
+      assert.equal(result[1].nominalValue, 'Penny')
+      assert.equal(result[2].nominalValue, 'http://localhost:8080/data/person/howard-wolowitz')
+    })
+
+    it('.blankNode should create a new blank node context', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var a = cf.blankNode().nodes()
+      var b = cf.blankNode().nodes()
+
+      assert.equal(a.length, 1)
+      assert.equal(a[0].interfaceName, 'BlankNode')
+      assert(!a[0].equals(b[0]))
+    })
+
+    it('.blankNode should create a labelled blank node context', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var a = cf.blankNode('person').nodes()
+      var b = cf.blankNode('person').nodes()
+
+      assert.equal(a[0].interfaceName, 'BlankNode')
+      assert.equal(a[0].nominalValue, 'person')
+      assert(a[0].equals(b[0]))
+    })
+
+    it('.blankNode should not create new blank nodes equal to labelled blank nodes', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var fresh = cf.blankNode().nodes()[0]
+      var labelled = cf.blankNode('b' + fresh.nominalValue.split('b').pop()).nodes()[0]
+
+      assert(!clownface.terms.equals(fresh, labelled))
+    })
+
     it('.graph should return the graph object', function () {
       var cf = clownface.Graph(tbbtGraph)
 
@@ -165,6 +366,98 @@ describe('clownface', function () {
       assert.equal(result.length, 2)
     })
 
+    it('.path should follow a sequence path', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/bernadette-rostenkowski', {
+        prefixes: {schema: 'http://schema.org/'}
+      })
+
+      var result = cf.path('schema:knows/schema:givenName').literal()
+
+      assert.deepEqual(result.sort(), ['Amy', 'Howard', 'Leonard', 'Penny', 'Rajesh', 'Sheldon', 'Stuart'])
+    })
+
+    it('.path should follow alternative paths', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/amy-farrah-fowler', {
+        prefixes: {schema: 'http://schema.org/'}
+      })
+
+      var result = cf.path('schema:jobTitle|schema:givenName').literal()
+
+      assert.deepEqual(result.sort(), ['Amy', 'neurobiologist'])
+    })
+
+    it('.path should follow inverse paths', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/howard-wolowitz')
+
+      var result = cf.path('^<http://schema.org/spouse>').literal()
+
+      assert.deepEqual(result, ['http://localhost:8080/data/person/bernadette-rostenkowski'])
+    })
+
+    it('.path should follow inverse sequence paths', function () {
+      var cf = clownface.Graph(tbbtGraph, 'Howard', {prefixes: {schema: 'http://schema.org/'}})
+
+      var result = cf.path('^(schema:spouse/schema:givenName)').literal()
+
+      assert.deepEqual(result, ['http://localhost:8080/data/person/bernadette-rostenkowski'])
+    })
+
+    it('.path should follow one-or-more paths without duplicates', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/bernadette-rostenkowski', {
+        prefixes: {schema: 'http://schema.org/'}
+      })
+
+      var result = cf.path('schema:knows+').literal()
+
+      assert.equal(result.length, 9)
+      assert.notEqual(result.indexOf('http://localhost:8080/data/person/bernadette-rostenkowski'), -1)
+    })
+
+    it('.path should include the start nodes for zero-or-more and zero-or-one paths', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/bernadette-rostenkowski', {
+        prefixes: {schema: 'http://schema.org/'}
+      })
+
+      assert.deepEqual(cf.path('schema:spouse?').literal(), [
+        'http://localhost:8080/data/person/bernadette-rostenkowski',
+        'http://localhost:8080/data/person/howard-wolowitz'
+      ])
+      assert.deepEqual(cf.path('schema:jobTitle*').literal(), [
+        'http://localhost:8080/data/person/bernadette-rostenkowski',
+        'microbiologist'
+      ])
+    })
+
+    it('.path should terminate on cycles', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+
+      cf.node('http://example.org/a').addOut('http://example.org/next', 'http://example.org/b')
+      cf.node('http://example.org/b').addOut('http://example.org/next', 'http://example.org/a')
+
+      var result = cf.node('http://example.org/a').path('<http://example.org/next>+').literal()
+
+      assert.deepEqual(result, ['http://example.org/b', 'http://example.org/a'])
+    })
+
+    it('.path should support the builder form', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/bernadette-rostenkowski', {
+        prefixes: {schema: 'http://schema.org/'}
+      })
+      var path = clownface.path
+
+      var result = cf.path(path.sequence(path.zeroOrOne('schema:spouse'), path.alternative('schema:givenName', 'schema:jobTitle'))).literal()
+
+      assert.deepEqual(result.sort(), ['Bernadette', 'Howard', 'aerospace engineer', 'microbiologist'])
+    })
+
+    it('.path should throw an error on unknown prefixes', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/bernadette-rostenkowski')
+
+      assert.throws(function () {
+        cf.path('schema:knows')
+      }, /unknown prefix: schema/)
+    })
+
     it('.literal should return literal nodes as string', function () {
       var cf = clownface.Graph(tbbtGraph)
 
@@ -191,6 +484,162 @@ describe('clownface', function () {
       assert.equal(result, null)
     })
 
+    it('.native should convert literals to native values based on the datatype', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node([
+        123,
+        1.5,
+        true,
+        {value: '0', datatype: 'http://www.w3.org/2001/XMLSchema#boolean'},
+        new Date('2016-01-14T12:00:00Z'),
+        {value: '42', datatype: 'http://www.w3.org/2001/XMLSchema#long'},
+        {value: 'Hallo', language: 'de'},
+        'text'
+      ]).native()
+
+      assert.strictEqual(result[0], 123)
+      assert.strictEqual(result[1], 1.5)
+      assert.strictEqual(result[2], true)
+      assert.strictEqual(result[3], false)
+      assert(result[4] instanceof Date)
+      assert.equal(result[4].toISOString(), '2016-01-14T12:00:00.000Z')
+      assert.strictEqual(result[5], 42)
+      assert.strictEqual(result[6], 'Hallo')
+      assert.strictEqual(result[7], 'text')
+    })
+
+    it('.native should return named nodes as string', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node('http://localhost:8080/data/person/bernadette-rostenkowski').native()
+
+      assert.deepEqual(result, ['http://localhost:8080/data/person/bernadette-rostenkowski'])
+    })
+
+    it('.native should return null if nodes wasn\t set', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.native()
+
+      assert.equal(result, null)
+    })
+
+    it('.prefixes should return the prefix map of the options', function () {
+      var prefixes = {schema: 'http://schema.org/'}
+      var cf = clownface.Graph(tbbtGraph, null, {prefixes: prefixes})
+
+      assert.equal(cf.prefixes(), prefixes)
+      assert.deepEqual(clownface.Graph(tbbtGraph).prefixes(), {})
+    })
+
+    it('should expand CURIEs with a registered prefix to named nodes', function () {
+      var cf = clownface.Graph(tbbtGraph, null, {prefixes: {tbbt: 'http://localhost:8080/data/person/'}})
+
+      var result = cf.node('tbbt:stuart-bloom').nodes()
+
+      assert.equal(result.length, 1)
+      assert.equal(result[0].interfaceName, 'NamedNode')
+      assert.equal(result[0].nominalValue, 'http://localhost:8080/data/person/stuart-bloom')
+    })
+
+    it('should keep strings with an unknown prefix as literals', function () {
+      var cf = clownface.Graph(tbbtGraph, null, {prefixes: {schema: 'http://schema.org/'}})
+
+      var result = cf.node('note: text').nodes()
+
+      assert.equal(result[0].interfaceName, 'Literal')
+      assert.equal(result[0].nominalValue, 'note: text')
+    })
+
+    it('should keep free text with a registered prefix as literal', function () {
+      var cf = clownface.Graph(tbbtGraph, null, {prefixes: {note: 'http://example.org/note#'}})
+
+      var result = cf.node(['note: this is text', 'note:a<b', 'note:valid']).nodes()
+
+      assert.equal(result[0].interfaceName, 'Literal')
+      assert.equal(result[0].nominalValue, 'note: this is text')
+      assert.equal(result[1].interfaceName, 'Literal')
+      assert.equal(result[2].interfaceName, 'NamedNode')
+      assert.equal(result[2].nominalValue, 'http://example.org/note#valid')
+    })
+
+    it('.in and .out should expand CURIE predicates', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/amy-farrah-fowler', {
+        prefixes: {schema: 'http://schema.org/'}
+      })
+
+      assert.equal(cf.out('schema:jobTitle').toString(), 'neurobiologist')
+      assert.equal(cf.out('schema:jobTitle').in(['schema:jobTitle']).toString(), 'http://localhost:8080/data/person/amy-farrah-fowler')
+    })
+
+    it('should keep the prefixes in derived objects', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/bernadette-rostenkowski', {
+        prefixes: {schema: 'http://schema.org/'}
+      })
+
+      var result = cf
+        .out('schema:knows')
+        .filter(function (item) {
+          return item.out('schema:givenName').toString() === 'Howard'
+        })
+        .toArray()[0]
+        .out('schema:familyName')
+        .toString()
+
+      assert.equal(result, 'Wolowitz')
+    })
+
+    it('should throw an error on CURIE predicates with an unknown prefix', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/amy-farrah-fowler', {
+        prefixes: {schema: 'http://schema.org/'}
+      })
+
+      assert.throws(function () {
+        cf.out('foaf:name')
+      }, /unknown prefix: foaf/)
+    })
+
+    it('.addOut should expand CURIE predicates and objects', function () {
+      var cf = clownface.Graph(rdf.createGraph(), null, {
+        prefixes: {
+          rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+          schema: 'http://schema.org/'
+        }
+      })
+
+      cf.node('http://example.org/person').addOut('rdf:type', 'schema:Person')
+
+      var result = cf.graph().toArray()[0]
+
+      assert.equal(result.predicate.nominalValue, 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type')
+      assert.equal(result.object.interfaceName, 'NamedNode')
+      assert.equal(result.object.nominalValue, 'http://schema.org/Person')
+    })
+
+    it('.literal should compact named nodes to CURIEs if requested', function () {
+      var cf = clownface.Graph(tbbtGraph, null, {
+        prefixes: {
+          schema: 'http://schema.org/',
+          tbbt: 'http://localhost:8080/data/',
+          person: 'http://localhost:8080/data/person/'
+        }
+      })
+
+      var result = cf.node(['person:penny', 'http://example.org/', 'schema:knows', 'text']).literal({compact: true})
+
+      assert.deepEqual(result, ['person:penny', 'http://example.org/', 'schema:knows', 'text'])
+    })
+
+    it('.toString should compact named nodes to CURIEs if requested', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny', {
+        prefixes: {person: 'http://localhost:8080/data/person/'}
+      })
+
+      assert.equal(cf.toString(), 'http://localhost:8080/data/person/penny')
+      assert.equal(cf.toString({compact: true}), 'person:penny')
+    })
+
     it('.removeIn should remove triples based on the object value', function () {
       var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()))
 
@@ -245,307 +694,3082 @@ describe('clownface', function () {
       assert.equal(cf.graph().length, 118)
     })
 
-    it('.toArray should return an empty array if no node was selected', function () {
-      var cf = clownface.Graph(tbbtGraph)
+    it('.addIn should add triples with the context as object', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()))
 
-      var result = cf.toArray()
+      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski')
+        .addIn('http://schema.org/colleague', 'http://localhost:8080/data/person/stuart-bloom')
 
-      assert.deepEqual(result, [])
+      var result = cf.node('http://localhost:8080/data/person/stuart-bloom')
+        .out('http://schema.org/colleague')
+        .literal()
+
+      assert.equal(cf.graph().length, 127)
+      assert.notEqual(result.indexOf('http://localhost:8080/data/person/bernadette-rostenkowski'), -1)
     })
 
-    it('.toArray should return every single node wrapped in a cf.Graph object array', function () {
-      var cf = clownface.Graph(tbbtGraph)
+    it('.addIn should add triples for multiple predicates and subjects', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()))
 
-      var result = cf.node('http://localhost:8080/data/person/bernadette-rostenkowski')
-        .in('http://schema.org/knows')
-        .toArray()
+      cf.node('http://example.org/object')
+        .addIn(['http://example.org/p1', 'http://example.org/p2'], ['http://example.org/s1', 'http://example.org/s2'])
 
-      assert(Array.isArray(result))
-      assert.equal(result.length, 7)
-      assert(result[0] instanceof clownface.Graph)
+      assert.equal(cf.graph().length, 130)
     })
 
-    it('.filter should remove nodes based on the return value of the callback function', function () {
-      var cf = clownface.Graph(tbbtGraph)
-
-      var count = 0
+    it('.addIn should call the callback with the subjects', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()))
+      var subjects
 
-      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski')
-        .in('http://schema.org/knows')
-        .filter(function (item) {
-          return !item.nodes().shift().equals('http://localhost:8080/data/person/howard-wolowitz')
-        })
-        .forEach(function (item) {
-          assert(item instanceof clownface.Graph)
-          count++
+      cf.node('http://example.org/object')
+        .addIn('http://example.org/predicate', 'http://example.org/subject', function (result) {
+          subjects = result
         })
 
-      assert.equal(count, 6)
+      assert(subjects instanceof clownface.Graph)
+      assert.deepEqual(subjects.literal(), ['http://example.org/subject'])
     })
 
-    it('.forEach should iterate over all nodes', function () {
-      var cf = clownface.Graph(tbbtGraph)
-
-      var count = 0
+    it('.addIn should throw an error if predicate or subjects are missing', function () {
+      var cf = clownface.Graph(rdf.createGraph()).node('http://example.org/object')
 
-      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski')
-        .in('http://schema.org/knows')
-        .forEach(function (item) {
-          assert(item instanceof clownface.Graph)
-          count++
-        })
+      assert.throws(function () {
+        cf.addIn(null, 'http://example.org/subject')
+      })
 
-      assert.equal(count, 7)
+      assert.throws(function () {
+        cf.addIn('http://example.org/predicate')
+      })
     })
 
-    it('.map should iterate over all nodes and return an array of the callback return value', function () {
-      var cf = clownface.Graph(tbbtGraph)
+    it('.addOut should add triples with the context as subject', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()))
 
-      var result = cf.node('http://localhost:8080/data/person/bernadette-rostenkowski')
-        .in('http://schema.org/knows')
-        .map(function (item, index) {
-          assert(item instanceof clownface.Graph)
+      var result = cf.node('http://localhost:8080/data/person/stuart-bloom')
+        .addOut('http://schema.org/nationality', 'American')
+        .out('http://schema.org/nationality')
+        .nodes()
 
-          return index
+      assert.equal(cf.graph().length, 127)
+      assert.equal(result.length, 1)
+      assert.equal(result[0].interfaceName, 'Literal')
+      assert.equal(result[0].nominalValue, 'American')
+    })
+
+    it('.addOut should add triples for multiple predicates and objects', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()))
+
+      cf.node('http://example.org/subject')
+        .addOut(['http://example.org/p1', 'http://example.org/p2'], ['http://example.org/o1', 2])
+
+      assert.equal(cf.graph().length, 130)
+    })
+
+    it('.addOut should call the callback with the objects to build nested resources', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+
+      cf.node('http://example.org/person')
+        .addOut('http://schema.org/address', 'http://example.org/address', function (address) {
+          address.addOut('http://schema.org/streetAddress', 'Main Street 1')
         })
 
-      assert.deepEqual(result, [0, 1, 2, 3, 4, 5, 6])
+      var result = cf.node('http://example.org/person')
+        .out('http://schema.org/address')
+        .out('http://schema.org/streetAddress')
+        .toString()
+
+      assert.equal(result, 'Main Street 1')
     })
 
-    it('.toString should return the .literal string of a single node', function () {
-      var cf = clownface.Graph(tbbtGraph)
+    it('.addOut should accept blank nodes and other objects as objects', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+      var address = cf.blankNode()
 
-      var givenName = cf.node('http://localhost:8080/data/person/bernadette-rostenkowski')
-        .out('http://schema.org/givenName')
+      cf.node('http://example.org/person').addOut('http://schema.org/address', address)
+      address.addOut('http://schema.org/streetAddress', 'Main Street 1')
+
+      var result = cf.node('http://example.org/person')
+        .out('http://schema.org/address')
+        .out('http://schema.org/streetAddress')
         .toString()
 
-      assert.equal(givenName, 'Bernadette')
+      assert.equal(result, 'Main Street 1')
     })
 
-    it('.toString should return a comma separated string of .literal strings', function () {
+    it('.addOut should create a blank node per subject if only a callback is given', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+      var addresses
+
+      cf.node(['http://example.org/a', 'http://example.org/b'])
+        .addOut('http://schema.org/address', function (address) {
+          addresses = address
+          address.addOut('http://schema.org/addressCountry', 'US')
+        })
+
+      assert.equal(addresses.nodes().length, 2)
+      assert.equal(addresses.nodes()[0].interfaceName, 'BlankNode')
+      assert.equal(cf.graph().length, 4)
+      assert.equal(cf.node('http://example.org/a').out('http://schema.org/address').out('http://schema.org/addressCountry').toString(), 'US')
+      assert.notEqual(cf.node('http://example.org/a').out('http://schema.org/address').toString(),
+        cf.node('http://example.org/b').out('http://schema.org/address').toString())
+    })
+
+    it('.addIn should create a blank node per object if only a callback is given', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+      var subjects
+
+      cf.node('http://example.org/object')
+        .addIn('http://example.org/predicate', function (subject) {
+          subjects = subject
+        })
+
+      assert.equal(subjects.nodes().length, 1)
+      assert.equal(subjects.nodes()[0].interfaceName, 'BlankNode')
+      assert.equal(cf.node('http://example.org/object').in('http://example.org/predicate').toString(), subjects.toString())
+    })
+
+    it('.addOut should throw an error if predicate or objects are missing', function () {
+      var cf = clownface.Graph(rdf.createGraph()).node('http://example.org/subject')
+
+      assert.throws(function () {
+        cf.addOut(null, 'http://example.org/object')
+      })
+
+      assert.throws(function () {
+        cf.addOut('http://example.org/predicate')
+      })
+    })
+
+    it('.addList should add a rdf:List with the items', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+
+      cf.node('http://example.org/list')
+        .addList('http://example.org/items', ['a', 'http://example.org/b', 3])
+
+      assert.equal(cf.graph().length, 7)
+      assert.equal(cf.graph().match(null, 'http://www.w3.org/1999/02/22-rdf-syntax-ns#first').length, 3)
+      assert.equal(cf.graph().match(null, 'http://www.w3.org/1999/02/22-rdf-syntax-ns#rest', 'http://www.w3.org/1999/02/22-rdf-syntax-ns#nil').length, 1)
+    })
+
+    it('.addList should add rdf:nil for an empty array', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+
+      cf.node('http://example.org/list').addList('http://example.org/items', [])
+
+      var result = cf.graph().toArray()
+
+      assert.equal(result.length, 1)
+      assert.equal(result[0].object.nominalValue, 'http://www.w3.org/1999/02/22-rdf-syntax-ns#nil')
+    })
+
+    it('.addList should call the callback with the items', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+      var items
+
+      cf.node('http://example.org/list').addList('http://example.org/items', ['a', 'b'], function (result) {
+        items = result
+      })
+
+      assert(items instanceof clownface.Graph)
+      assert.deepEqual(items.literal(), ['a', 'b'])
+    })
+
+    it('.addList should throw an error if items is not an array', function () {
+      var cf = clownface.Graph(rdf.createGraph()).node('http://example.org/list')
+
+      assert.throws(function () {
+        cf.addList('http://example.org/items', 'a')
+      }, /items must be an array/)
+    })
+
+    it('.list should return the items of a rdf:List in order', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+
+      cf.node('http://example.org/list').addList('http://example.org/items', ['c', 'a', 'b'])
+
+      var result = cf.node('http://example.org/list').out('http://example.org/items').list()
+
+      assert(Array.isArray(result))
+      assert.equal(result.length, 3)
+      assert(result[0] instanceof clownface.Graph)
+      assert.deepEqual(result.map(function (item) {
+        return item.toString()
+      }), ['c', 'a', 'b'])
+    })
+
+    it('.list should return an empty array for rdf:nil', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+
+      cf.node('http://example.org/list').addList('http://example.org/items', [])
+
+      var result = cf.node('http://example.org/list').out('http://example.org/items').list()
+
+      assert.deepEqual(result, [])
+    })
+
+    it('.list should throw an error if the context is not a single node', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+
+      assert.throws(function () {
+        cf.list()
+      }, /exactly one node/)
+
+      assert.throws(function () {
+        cf.node(['http://example.org/a', 'http://example.org/b']).list()
+      }, /exactly one node/)
+    })
+
+    it('.list should throw an error on malformed lists', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+      var first = rdf.createNamedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#first')
+
+      cf.node('http://example.org/list').addList('http://example.org/items', ['a', 'b'])
+      cf.graph().add(rdf.createTriple(cf.node('http://example.org/list').out('http://example.org/items').nodes()[0], first, rdf.createLiteral('c')))
+
+      assert.throws(function () {
+        cf.node('http://example.org/list').out('http://example.org/items').list()
+      }, /malformed list/)
+
+      assert.throws(function () {
+        cf.node('http://example.org/no-list').list()
+      }, /malformed list/)
+    })
+
+    it('.list should throw an error on cyclic lists', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+
+      cf.node('http://example.org/cell')
+        .addOut('http://www.w3.org/1999/02/22-rdf-syntax-ns#first', 'a')
+        .addOut('http://www.w3.org/1999/02/22-rdf-syntax-ns#rest', 'http://example.org/cell')
+
+      assert.throws(function () {
+        cf.node('http://example.org/cell').list()
+      }, /cyclic list/)
+    })
+
+    it('.removeList should remove the rdf:List and the link to it', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()))
+
+      cf.node('http://localhost:8080/data/person/penny')
+        .addList('http://example.org/favorites', ['Star Wars', 'Star Trek'])
+        .addList('http://example.org/other', ['a'])
+        .removeList('http://example.org/favorites')
+
+      assert.equal(cf.graph().length, 129)
+      assert.equal(cf.node('http://localhost:8080/data/person/penny').out('http://example.org/other').list()[0].toString(), 'a')
+    })
+
+    it('.out should return an empty result for an empty context', function () {
       var cf = clownface.Graph(tbbtGraph)
 
-      var givenName = cf.node([
-        'http://localhost:8080/data/person/bernadette-rostenkowski',
-        'http://localhost:8080/data/person/howard-wolowitz'
+      assert.deepEqual(cf.out('http://schema.org/knows').nodes(), [])
+      assert.deepEqual(cf.in('http://schema.org/knows').nodes(), [])
+    })
+
+    it('should keep the index in sync with write operations', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()))
+      var penny = cf.node('http://localhost:8080/data/person/penny')
+
+      assert.equal(penny.out('http://schema.org/jobTitle').toString(), 'pharmaceutical sales representative')
+
+      penny.removeOut('http://schema.org/jobTitle')
+
+      assert.equal(penny.out('http://schema.org/jobTitle').toString(), '')
+
+      penny.addOut('http://schema.org/jobTitle', 'waitress')
+
+      assert.equal(penny.out('http://schema.org/jobTitle').toString(), 'waitress')
+      assert.equal(penny.out('http://schema.org/jobTitle').in('http://schema.org/jobTitle').toString(), 'http://localhost:8080/data/person/penny')
+
+      penny.removeIn()
+
+      assert.equal(penny.in('http://schema.org/knows').nodes().length, 0)
+      assert.equal(cf.graph().match(null, null, 'http://localhost:8080/data/person/penny').length, 0)
+    })
+
+    it('should see triples added to the graph outside of clownface', function () {
+      var graph = rdf.createGraph()
+      var cf = clownface.Graph(graph, 'http://example.org/subject')
+
+      assert.equal(cf.out('http://example.org/predicate').nodes().length, 0)
+
+      graph.add(rdf.createTriple(
+        rdf.createNamedNode('http://example.org/subject'),
+        rdf.createNamedNode('http://example.org/predicate'),
+        rdf.createLiteral('object')))
+
+      assert.equal(cf.out('http://example.org/predicate').toString(), 'object')
+    })
+
+    it('should not see triples removed from the graph outside of clownface', function () {
+      var graph = rdf.createGraph()
+      var cf = clownface.Graph(graph, 'http://example.org/subject')
+
+      cf.addOut('http://example.org/predicate', ['a', 'b'])
+
+      graph.removeMatches(null, null, rdf.createLiteral('a'))
+
+      assert.deepEqual(cf.out('http://example.org/predicate').literal(), ['b'])
+
+      graph.remove(graph.toArray()[0])
+
+      assert.equal(graph.length, 0)
+      assert.equal(cf.out('http://example.org/predicate').nodes().length, 0)
+    })
+
+    it('.reindex should rebuild the index and detach it from the rdf-ext graph', function () {
+      var graph = rdf.createGraph()
+      var remove = graph.remove
+      var cf = clownface.Graph(graph, 'http://example.org/subject')
+
+      cf.addOut('http://example.org/predicate', 'object')
+
+      assert.equal(graph.actions.length, 1)
+      assert.notEqual(graph.remove, remove)
+
+      assert.equal(cf.reindex(), cf)
+      assert.equal(graph.actions.length, 0)
+      assert.equal(graph.remove, remove)
+      assert(!Object.prototype.hasOwnProperty.call(graph, 'remove'))
+
+      assert.equal(cf.out('http://example.org/predicate').toString(), 'object')
+
+      graph.removeMatches(null, null, null)
+
+      assert.equal(cf.out('http://example.org/predicate').nodes().length, 0)
+    })
+
+    it('should traverse with a cost independent of the graph size', function () {
+      this.timeout(30000)
+
+      var TripleIndex = require('../lib/TripleIndex')
+
+      function createGraph (size) {
+        var graph = rdf.createGraph()
+
+        for (var i = 0; i < size; i++) {
+          graph.add(rdf.createTriple(
+            rdf.createNamedNode('http://example.org/node/' + i),
+            rdf.createNamedNode('http://example.org/next'),
+            rdf.createNamedNode('http://example.org/node/' + ((i + 1) % size))))
+        }
+
+        return graph
+      }
+
+      // counts the full scans of the graph and the lookups and matches of the index
+      function cost (graph) {
+        var cf = clownface.Graph(graph, 'http://example.org/node/0')
+        var toArray = graph.toArray
+        var match = TripleIndex.prototype.match
+        var result = {scans: 0, lookups: 0, matches: 0}
+
+        // build the index before counting
+        cf.out('http://example.org/next')
+
+        graph.toArray = function () {
+          result.scans++
+
+          return toArray.apply(this, arguments)
+        }
+
+        TripleIndex.prototype.match = function () {
+          var matches = match.apply(this, arguments)
+
+          result.lookups++
+          result.matches += matches.length
+
+          return matches
+        }
+
+        try {
+          for (var i = 0; i < 20; i++) {
+            var pointer = cf
+
+            for (var step = 0; step < 20; step++) {
+              pointer = pointer.out('http://example.org/next')
+            }
+
+            assert.equal(pointer.toString(), 'http://example.org/node/20')
+          }
+        } finally {
+          delete graph.toArray
+          TripleIndex.prototype.match = match
+        }
+
+        return result
+      }
+
+      var small = cost(createGraph(100))
+      var large = cost(createGraph(20000))
+
+      assert.equal(small.scans, 0)
+      assert.equal(small.lookups, 400)
+      assert.deepEqual(large, small)
+    })
+
+    it('.on should emit added events for new triples', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()))
+      var events = []
+
+      assert.equal(cf.on('added', function (event) {
+        events.push(event)
+      }), cf)
+
+      cf.node('http://localhost:8080/data/person/penny')
+        .addOut('http://schema.org/knows', ['http://localhost:8080/data/person/howard-wolowitz', 'http://example.org/someone'])
+        .addOut('http://schema.org/knows', 'http://localhost:8080/data/person/howard-wolowitz')
+
+      assert.equal(events.length, 1)
+      assert.equal(events[0].triples.length, 1)
+      assert.equal(events[0].triples[0].object.nominalValue, 'http://example.org/someone')
+      assert.equal(events[0].graphIri, null)
+    })
+
+    it('.on should emit the events of triples written with toGraph with the IRI of the graph', function () {
+      var cf = clownface.Graph(rdf.createGraph(), 'http://example.org/subject')
+      var events = []
+
+      cf.on('added', function (event) {
+        events.push(event)
+      })
+
+      cf.on('removed', function (event) {
+        events.push(event)
+      })
+
+      cf.toGraph('http://example.org/graph').addOut('http://schema.org/knows', 'http://example.org/a')
+      cf.addOut('http://schema.org/knows', 'http://example.org/b')
+      cf.removeOut('http://schema.org/knows')
+
+      cf.transaction(function (pointer) {
+        pointer.toGraph('http://example.org/graph').addOut('http://schema.org/knows', 'http://example.org/c')
+        pointer.addOut('http://schema.org/knows', 'http://example.org/d')
+      })
+
+      assert.deepEqual(events.map(function (event) {
+        return [event.graphIri, event.triples.map(function (triple) {
+          return triple.object.nominalValue
+        })]
+      }), [
+        ['http://example.org/graph', ['http://example.org/a']],
+        [null, ['http://example.org/b']],
+        ['http://example.org/graph', ['http://example.org/a']],
+        [null, ['http://example.org/b']],
+        ['http://example.org/graph', ['http://example.org/c']],
+        [null, ['http://example.org/d']]
       ])
-        .out('http://schema.org/givenName')
-        .toString()
+    })
 
-      assert.equal(givenName, 'Bernadette,Howard')
+    it('.on should emit removed events for removed triples', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()))
+      var events = []
+
+      cf.on('removed', function (event) {
+        events.push(event)
+      })
+
+      cf.node('http://localhost:8080/data/person/penny').removeOut('http://schema.org/knows')
+      cf.node('http://localhost:8080/data/person/penny').removeOut('http://schema.org/knows')
+
+      assert.equal(events.length, 1)
+      assert.equal(events[0].triples.length, 7)
+      assert.equal(events[0].triples[0].predicate.nominalValue, 'http://schema.org/knows')
     })
-  })
 
-  describe('Store', function () {
-    it('should create a Store object with constructor', function () {
-      var cf = new clownface.Store(tbbtStore)
+    it('.on should share the listeners of all objects of the same graph', function () {
+      var graph = rdf.createGraph()
+      var events = []
 
-      // TODO: add missing functions
-      assert.equal(typeof cf.node, 'function')
-      assert.equal(typeof cf.in, 'function')
-      assert.equal(typeof cf.out, 'function')
-      assert.equal(typeof cf.literal, 'function')
-      assert.equal(typeof cf.jump, 'function')
+      clownface.Graph(graph).on('added', function (event) {
+        events.push(event)
+      })
+
+      clownface.Graph(graph, 'http://example.org/list').addList('http://example.org/items', ['a'])
+      clownface.Graph(rdf.createGraph(), 'http://example.org/list').addList('http://example.org/items', ['a'])
+
+      assert.equal(events.length, 3)
     })
 
-    it('should create a Store object with function call', function () {
-      var cf = clownface.Store(tbbtStore)
+    it('.removeListener should stop emitting events to the listener', function () {
+      var cf = clownface.Graph(rdf.createGraph(), 'http://example.org/subject')
+      var count = 0
+      var listener = function () {
+        count++
+      }
 
-      assert.equal(typeof cf.node, 'function')
-      assert.equal(typeof cf.in, 'function')
-      assert.equal(typeof cf.out, 'function')
-      assert.equal(typeof cf.literal, 'function')
+      cf.on('added', listener)
+      cf.addOut('http://example.org/predicate', 'a')
+
+      assert.equal(cf.removeListener('added', listener), cf)
+
+      cf.addOut('http://example.org/predicate', 'b')
+
+      assert.equal(count, 1)
     })
 
-    it('should create an empty node context', function () {
-      var cf = clownface.Store(tbbtStore)
+    it('.transaction should apply the changes and emit the events after the callback', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()), 'http://localhost:8080/data/person/penny')
+      var events = []
+
+      cf.on('added', function (event) {
+        events.push(event)
+      }).on('removed', function (event) {
+        events.push(event)
+      })
+
+      var result = cf.transaction(function (penny) {
+        penny
+          .removeOut('http://schema.org/jobTitle')
+          .addOut('http://schema.org/jobTitle', 'actress')
+
+        assert.equal(events.length, 0)
+      })
+
+      assert.equal(result, cf)
+      assert.deepEqual(cf.out('http://schema.org/jobTitle').literal(), ['actress'])
+      assert.equal(events.length, 2)
+    })
+
+    it('.transaction should roll back the changes if the callback throws an error', function () {
+      var graph = tbbtGraph.merge(rdf.createGraph())
+      var cf = clownface.Graph(graph, 'http://localhost:8080/data/person/penny')
+      var events = 0
+
+      cf.on('added', function () {
+        events++
+      }).on('removed', function () {
+        events++
+      })
+
+      assert.throws(function () {
+        cf.transaction(function (penny) {
+          penny
+            .removeOut('http://schema.org/jobTitle')
+            .addOut('http://schema.org/jobTitle', 'actress')
+
+          throw new Error('failed')
+        })
+      }, /failed/)
+
+      assert.equal(graph.length, 126)
+      assert.deepEqual(cf.out('http://schema.org/jobTitle').literal(), ['pharmaceutical sales representative'])
+      assert.equal(events, 0)
+    })
+
+    it('.transaction should roll back the changes if the returned Promise is rejected', function (done) {
+      var graph = tbbtGraph.merge(rdf.createGraph())
+      var cf = clownface.Graph(graph, 'http://localhost:8080/data/person/penny')
+
+      cf.transaction(function (penny) {
+        penny.removeOut('http://schema.org/knows')
+
+        return Promise.reject(new Error('failed'))
+      }).then(function () {
+        done(new Error('no error thrown'))
+      }, function (error) {
+        assert.equal(error.message, 'failed')
+        assert.equal(graph.length, 126)
+        assert.equal(cf.out('http://schema.org/knows').nodes().length, 7)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.transaction should not journal or roll back writes of other objects of the graph', function (done) {
+      var graph = rdf.createGraph()
+      var cf = clownface.Graph(graph, 'http://example.org/subject')
+      var other = clownface.Graph(graph, 'http://example.org/other')
+      var events = []
+
+      cf.on('added', function (event) {
+        events.push(event.triples[0].object.nominalValue)
+      })
+
+      cf.transaction(function (subject) {
+        subject.addOut('http://example.org/predicate', 'a')
+        subject.out('http://example.org/predicate').addIn('http://example.org/derived', 'http://example.org/derived')
+
+        return new Promise(function (resolve, reject) {
+          setTimeout(function () {
+            reject(new Error('failed'))
+          }, 10)
+        })
+      }).then(function () {
+        done(new Error('no error thrown'))
+      }, function () {
+        assert.deepEqual(other.out('http://example.org/predicate').literal(), ['b'])
+        assert.deepEqual(cf.out('http://example.org/predicate').literal(), [])
+        assert.equal(graph.length, 1)
+        assert.deepEqual(events, ['b'])
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+
+      other.addOut('http://example.org/predicate', 'b')
+    })
+
+    it('.transaction should not journal writes of the outer object while the callback is pending', function (done) {
+      var graph = rdf.createGraph()
+      var cf = clownface.Graph(graph, 'http://example.org/subject')
+      var events = []
+
+      cf.on('added', function (event) {
+        events.push(event.triples[0].object.nominalValue)
+      })
+
+      cf.transaction(function (subject) {
+        subject.addOut('http://example.org/predicate', 'rolled back')
+
+        return new Promise(function (resolve, reject) {
+          setTimeout(function () {
+            reject(new Error('failed'))
+          }, 10)
+        })
+      }).then(function () {
+        done(new Error('no error thrown'))
+      }, function () {
+        assert.deepEqual(cf.out('http://example.org/predicate').literal(), ['keep me'])
+        assert.deepEqual(events, ['keep me'])
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+
+      cf.addOut('http://example.org/predicate', 'keep me')
+
+      assert.deepEqual(events, ['keep me'])
+    })
+
+    it('.transaction should only roll back the changes of a failed nested transaction', function () {
+      var graph = rdf.createGraph()
+      var cf = clownface.Graph(graph, 'http://example.org/subject')
+
+      cf.transaction(function (subject) {
+        subject.addOut('http://example.org/predicate', 'a')
+
+        try {
+          subject.transaction(function (nested) {
+            nested.addOut('http://example.org/predicate', 'b')
+
+            throw new Error('failed')
+          })
+        } catch (error) {}
+      })
+
+      assert.deepEqual(cf.out('http://example.org/predicate').literal(), ['a'])
+    })
+
+    it('.history should undo and redo changes', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()), 'http://localhost:8080/data/person/penny')
+      var history = cf.history()
+
+      assert.equal(cf.history(), history)
+      assert.equal(history.canUndo(), false)
+
+      cf.removeOut('http://schema.org/jobTitle')
+      cf.addOut('http://schema.org/jobTitle', 'actress')
+
+      assert.equal(history.undo(), true)
+      assert.deepEqual(cf.out('http://schema.org/jobTitle').literal(), [])
+
+      assert.equal(history.undo(), true)
+      assert.deepEqual(cf.out('http://schema.org/jobTitle').literal(), ['pharmaceutical sales representative'])
+      assert.equal(history.undo(), false)
+
+      assert.equal(history.redo(), true)
+      assert.equal(history.redo(), true)
+      assert.deepEqual(cf.out('http://schema.org/jobTitle').literal(), ['actress'])
+      assert.equal(history.canRedo(), false)
+      assert.equal(cf.graph().length, 126)
+    })
+
+    it('.history should record a transaction as a single step and drop the redo steps on changes', function () {
+      var cf = clownface.Graph(rdf.createGraph(), 'http://example.org/subject')
+      var history = cf.history()
+
+      cf.transaction(function (subject) {
+        subject.addOut('http://example.org/predicate', 'a')
+        subject.addOut('http://example.org/predicate', 'b')
+      })
+
+      history.undo()
+
+      assert.equal(cf.graph().length, 0)
+      assert.equal(history.canRedo(), true)
+
+      cf.addOut('http://example.org/predicate', 'c')
+
+      assert.equal(history.canRedo(), false)
+    })
+
+    it('.history should export the net changes as patch', function () {
+      var cf = clownface.Graph(rdf.createGraph(), 'http://example.org/subject')
+
+      cf.addOut('http://example.org/predicate', ['a', 'b'])
+
+      var history = cf.history()
+
+      cf.removeOut('http://example.org/predicate')
+      cf.addOut('http://example.org/predicate', ['b', 'c'])
+      cf.addOut('http://example.org/other', 'd').removeOut('http://example.org/other')
+
+      var patch = history.patch()
+
+      assert.deepEqual(clownface.Graph(patch.insert, 'http://example.org/subject').out('http://example.org/predicate').literal(), ['c'])
+      assert.deepEqual(clownface.Graph(patch.delete, 'http://example.org/subject').out('http://example.org/predicate').literal(), ['a'])
+      assert.equal(patch.insert.length, 1)
+      assert.equal(patch.delete.length, 1)
+      assert.equal(history.toSparql(), 'DELETE DATA {\n' +
+        '  <http://example.org/subject> <http://example.org/predicate> "a" .\n' +
+        '} ;\n' +
+        'INSERT DATA {\n' +
+        '  <http://example.org/subject> <http://example.org/predicate> "c" .\n' +
+        '}')
+
+      history.clear()
+
+      assert.equal(history.toSparql(), '')
+    })
+
+    var quadGraph = function () {
+      var knows = rdf.createNamedNode('http://schema.org/knows')
+      var a = rdf.createNamedNode('http://example.org/a')
+
+      return rdf.createGraph([
+        rdf.createQuad(a, knows, rdf.createNamedNode('http://example.org/b'), rdf.createNamedNode('http://example.org/g1')),
+        rdf.createQuad(a, knows, rdf.createNamedNode('http://example.org/b'), rdf.createNamedNode('http://example.org/g2')),
+        rdf.createQuad(a, knows, rdf.createNamedNode('http://example.org/c'), rdf.createNamedNode('http://example.org/g2')),
+        rdf.createTriple(a, knows, rdf.createNamedNode('http://example.org/d'))
+      ])
+    }
+
+    it('.out should return the nodes of all graphs with the graph IRI', function () {
+      var cf = clownface.Graph(quadGraph(), 'http://example.org/a')
+
+      var result = cf.out('http://schema.org/knows').nodes()
+
+      assert.deepEqual(result.map(function (node) {
+        return [node.nominalValue, node.graphIri]
+      }), [
+        ['http://example.org/b', 'http://example.org/g1'],
+        ['http://example.org/b', 'http://example.org/g2'],
+        ['http://example.org/c', 'http://example.org/g2'],
+        ['http://example.org/d', undefined]
+      ])
+    })
+
+    it('.fromGraph should restrict the traversal to the given graphs', function () {
+      var cf = clownface.Graph(quadGraph(), 'http://example.org/a')
+
+      assert.deepEqual(cf.fromGraph('http://example.org/g1').out('http://schema.org/knows').literal(), ['http://example.org/b'])
+      assert.deepEqual(cf.fromGraph(['http://example.org/g1', clownface.defaultGraph]).out('http://schema.org/knows').literal(), ['http://example.org/b', 'http://example.org/d'])
+      assert.deepEqual(cf.fromGraph('http://example.org/g2').out('http://schema.org/knows').has('http://schema.org/knows').nodes(), [])
+      assert.deepEqual(clownface.Graph(quadGraph(), 'http://example.org/c', {fromGraph: clownface.defaultGraph}).in('http://schema.org/knows').nodes(), [])
+    })
+
+    it('.toGraph should write to the given graph and .fromGraph should restrict removing', function () {
+      var graph = quadGraph()
+      var cf = clownface.Graph(graph, 'http://example.org/a')
+      var history = cf.history()
+
+      cf.toGraph('http://example.org/g3').addOut('http://schema.org/knows', 'http://example.org/e')
+
+      assert.equal(history.toSparql(), 'INSERT DATA {\n' +
+        '  GRAPH <http://example.org/g3> { <http://example.org/a> <http://schema.org/knows> <http://example.org/e> . }\n' +
+        '}')
+
+      cf.fromGraph('http://example.org/g2').removeOut('http://schema.org/knows')
+
+      assert.deepEqual(graph.toArray().map(function (quad) {
+        return quad.object.nominalValue + ' ' + (quad.graph && quad.graph.nominalValue)
+      }), [
+        'http://example.org/b http://example.org/g1',
+        'http://example.org/d undefined',
+        'http://example.org/e http://example.org/g3'
+      ])
+    })
+
+    it('should be iterable', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny')
+
+      var result = Array.from(cf.out('http://schema.org/knows'))
+
+      assert.equal(result.length, 7)
+      assert(result[0] instanceof clownface.Graph)
+    })
+
+    it('.lazy should evaluate the steps when the results are consumed', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny')
+      var count = 0
+
+      var pipeline = cf.lazy().out('http://schema.org/knows').filter(function () {
+        count++
+
+        return true
+      }).out('http://schema.org/givenName')
+
+      assert.equal(count, 0)
+
+      var result = pipeline.limit(2).toArray()
+
+      assert.equal(count, 2)
+      assert.equal(result.length, 2)
+      assert(result[0] instanceof clownface.Graph)
+    })
+
+    it('.lazy should return the same results as the eager traversal', function () {
+      var cf = clownface.Graph(tbbtGraph, ['http://localhost:8080/data/person/penny', 'http://localhost:8080/data/person/howard-wolowitz'])
+
+      var result = Array.from(cf.lazy()
+        .out('http://schema.org/knows')
+        .has('http://schema.org/jobTitle')
+        .in('http://schema.org/knows')
+        .distinct()).map(function (pointer) {
+          return pointer.literal()[0]
+        })
+
+      assert.deepEqual(result, cf.out('http://schema.org/knows').has('http://schema.org/jobTitle').in('http://schema.org/knows').distinct().literal())
+    })
+
+    it('.lazy should support async iteration', function (done) {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny')
+      var iterator = cf.lazy().out('http://schema.org/givenName')[Symbol.asyncIterator]()
+
+      iterator.next().then(function (step) {
+        assert.deepEqual(step.value.literal(), ['Penny'])
+
+        return iterator.next()
+      }).then(function (step) {
+        assert.equal(step.done, true)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.lazy should create a readable stream of pointers', function (done) {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny')
+      var result = []
+      var stream = cf.lazy().out('http://schema.org/knows').toStream()
+
+      stream.on('data', function (pointer) {
+        result.push(pointer.literal()[0])
+      })
+
+      stream.on('end', function () {
+        assert.deepEqual(result, cf.out('http://schema.org/knows').literal())
+
+        done()
+      })
+
+      stream.on('error', done)
+    })
+
+    it('.toStream should destroy the stream with the error of a step', function (done) {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny')
+      var calls = 0
+      var result = []
+      var stream = cf.lazy().out('http://schema.org/knows').filter(function () {
+        if (++calls === 3) {
+          throw new Error('step failed')
+        }
+
+        return true
+      }).toStream()
+
+      stream.on('data', function (pointer) {
+        result.push(pointer)
+      })
+
+      stream.on('end', function () {
+        done(new Error('end emitted'))
+      })
+
+      stream.on('error', function (error) {
+        assert.equal(error.message, 'step failed')
+        assert(result.length <= 2)
+
+        setImmediate(function () {
+          assert(stream.destroyed)
+
+          done()
+        })
+      })
+    })
+
+    it('.sortBy should sort the nodes by the value of the predicate', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny', {prefixes: {schema: 'http://schema.org/'}})
+
+      var knows = cf.out('schema:knows')
+      var names = knows.out('schema:givenName').literal().sort()
+
+      assert.deepEqual(knows.sortBy('schema:givenName').out('schema:givenName').literal(), names)
+      assert.deepEqual(knows.sortBy('schema:givenName', {order: 'desc'}).out('schema:givenName').literal(), names.slice().reverse())
+    })
+
+    it('.sortBy should compare numbers, dates and strings of the given locale', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+
+      cf.node('http://example.org/a').addOut('http://example.org/value', [10, new Date('2016-02-01')]).addOut('http://example.org/name', 'zeta')
+      cf.node('http://example.org/b').addOut('http://example.org/value', [9, new Date('2016-01-01')]).addOut('http://example.org/name', 'äpfel')
+      cf.node('http://example.org/c').addOut('http://example.org/value', [100, new Date('2015-01-01')])
+
+      var nodes = cf.node(['http://example.org/a', 'http://example.org/b', 'http://example.org/c'])
+
+      var sorted = function (key, sortOptions) {
+        return nodes.sortBy(key, sortOptions).literal()
+      }
+
+      assert.deepEqual(sorted(function (pointer) {
+        return pointer.out('http://example.org/value').native()[0]
+      }), ['http://example.org/b', 'http://example.org/a', 'http://example.org/c'])
+      assert.deepEqual(sorted(function (pointer) {
+        return pointer.out('http://example.org/value').native()[1]
+      }), ['http://example.org/c', 'http://example.org/b', 'http://example.org/a'])
+      assert.deepEqual(sorted('http://example.org/name', {locale: 'de'}), ['http://example.org/b', 'http://example.org/a', 'http://example.org/c'])
+    })
+
+    it('.sortBy should use the collation of the locale', function () {
+      // runtimes built without full ICU only support the collation of English
+      if (Intl.Collator.supportedLocalesOf('sv').length === 0) {
+        return this.skip()
+      }
+
+      var cf = clownface.Graph(rdf.createGraph())
+
+      cf.node('http://example.org/a').addOut('http://example.org/name', 'zeta')
+      cf.node('http://example.org/b').addOut('http://example.org/name', 'äpfel')
+
+      var nodes = cf.node(['http://example.org/a', 'http://example.org/b'])
+
+      assert.deepEqual(nodes.sortBy('http://example.org/name', {locale: 'de'}).literal(), ['http://example.org/b', 'http://example.org/a'])
+      assert.deepEqual(nodes.sortBy('http://example.org/name', {locale: 'sv'}).literal(), ['http://example.org/a', 'http://example.org/b'])
+    })
+
+    it('.sortBy should sort mixed values by type before value', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+      var values = {a: '2', b: 9, c: 10, d: 'abc', e: true, f: new Date('2016-01-01')}
+
+      var nodes = cf.node(Object.keys(values).map(function (name) {
+        return 'http://example.org/' + name
+      }))
+
+      var sorted = nodes.sortBy(function (pointer) {
+        return values[pointer.toString().slice(-1)]
+      }).literal().map(function (iri) {
+        return iri.slice(-1)
+      })
+
+      assert.deepEqual(sorted, ['b', 'c', 'f', 'a', 'd', 'e'])
+    })
+
+    it('.offset, .limit and .count should page the nodes', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny')
+
+      var knows = cf.out('http://schema.org/knows').sortBy('http://schema.org/givenName')
+
+      assert.equal(knows.count(), 7)
+      assert.deepEqual(knows.offset(2).limit(3).literal(), knows.literal().slice(2, 5))
+      assert.equal(knows.limit(20).count(), 7)
+      assert.equal(knows.offset(20).count(), 0)
+
+      ;[-1, 1.5, NaN, Infinity, '2', null, undefined].forEach(function (count) {
+        assert.throws(function () {
+          knows.offset(count)
+        }, /non-negative integer/)
+        assert.throws(function () {
+          knows.limit(count)
+        }, /non-negative integer/)
+      })
+    })
+
+    it('.toArray should return an empty array if no node was selected', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.toArray()
+
+      assert.deepEqual(result, [])
+    })
+
+    it('.toArray should return every single node wrapped in a cf.Graph object array', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node('http://localhost:8080/data/person/bernadette-rostenkowski')
+        .in('http://schema.org/knows')
+        .toArray()
+
+      assert(Array.isArray(result))
+      assert.equal(result.length, 7)
+      assert(result[0] instanceof clownface.Graph)
+    })
+
+    it('.filter should remove nodes based on the return value of the callback function', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var count = 0
+
+      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski')
+        .in('http://schema.org/knows')
+        .filter(function (item) {
+          return !item.nodes().shift().equals('http://localhost:8080/data/person/howard-wolowitz')
+        })
+        .forEach(function (item) {
+          assert(item instanceof clownface.Graph)
+          count++
+        })
+
+      assert.equal(count, 6)
+    })
+
+    it('.has should keep nodes with a matching outgoing triple', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/bernadette-rostenkowski')
+
+      var result = cf
+        .out('http://schema.org/knows')
+        .has('http://schema.org/address')
+        .literal()
+
+      assert.deepEqual(result.sort(), [
+        'http://localhost:8080/data/person/leonard-hofstadter',
+        'http://localhost:8080/data/person/penny',
+        'http://localhost:8080/data/person/sheldon-cooper'
+      ])
+    })
+
+    it('.has should keep nodes with a matching outgoing triple and value', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/bernadette-rostenkowski', {
+        prefixes: {schema: 'http://schema.org/'}
+      })
+
+      var result = cf
+        .out('schema:knows')
+        .has('schema:knows', 'http://localhost:8080/data/person/mary-cooper')
+        .has('schema:givenName', ['Penny', 'Sheldon', 'Leonard'])
+        .literal()
+
+      assert.deepEqual(result, ['http://localhost:8080/data/person/leonard-hofstadter'])
+    })
+
+    it('.has should match literals by regular expression', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/bernadette-rostenkowski')
+
+      var result = cf
+        .out('http://schema.org/knows')
+        .has('http://schema.org/jobTitle', / physicist$/)
+        .out('http://schema.org/givenName')
+        .literal()
+
+      assert.deepEqual(result.sort(), ['Leonard', 'Sheldon'])
+    })
+
+    it('.has should match literals by language and datatype', function () {
+      var cf = clownface.Graph(rdf.createGraph(), null, {
+        prefixes: {xsd: 'http://www.w3.org/2001/XMLSchema#'}
+      })
+
+      cf.node('http://example.org/a').addOut('http://example.org/label', {value: 'color', language: 'en-US'})
+      cf.node('http://example.org/b').addOut('http://example.org/label', {value: 'Farbe', language: 'de'})
+      cf.node('http://example.org/c').addOut('http://example.org/label', 3)
+      cf.node('http://example.org/d').addOut('http://example.org/label', 'http://example.org/')
+
+      var all = cf.node(['http://example.org/a', 'http://example.org/b', 'http://example.org/c', 'http://example.org/d'])
+
+      assert.deepEqual(all.has('http://example.org/label', {language: 'en'}).literal(), ['http://example.org/a'])
+      assert.deepEqual(all.has('http://example.org/label', {language: 'EN-us'}).literal(), ['http://example.org/a'])
+      assert.deepEqual(all.has('http://example.org/label', {language: '*'}).literal(), ['http://example.org/a', 'http://example.org/b'])
+      assert.deepEqual(all.has('http://example.org/label', {datatype: 'xsd:integer'}).literal(), ['http://example.org/c'])
+      assert.deepEqual(all.has('http://example.org/label', {value: 'Farbe', language: 'de'}).literal(), ['http://example.org/b'])
+      assert.deepEqual(all.has('http://example.org/label', 3).literal(), ['http://example.org/c'])
+      assert.deepEqual(all.has('http://example.org/label', /example/).literal(), [])
+    })
+
+    it('should expand CURIE datatypes of typed literal objects', function () {
+      var cf = clownface.Graph(rdf.createGraph(), 'http://example.org/a', {
+        prefixes: {
+          ex: 'http://example.org/',
+          xsd: 'http://www.w3.org/2001/XMLSchema#'
+        }
+      })
+
+      cf.addOut('ex:p', {value: '5', datatype: 'xsd:integer'})
+
+      assert.equal(cf.out('ex:p').nodes()[0].datatype.nominalValue, 'http://www.w3.org/2001/XMLSchema#integer')
+      assert.strictEqual(cf.out('ex:p').native()[0], 5)
+      assert.equal(cf.has('ex:p', {datatype: 'xsd:integer'}).nodes().length, 1)
+      assert.throws(function () {
+        cf.node({value: '5', datatype: 'foo:bar'})
+      }, /unknown prefix: foo/)
+    })
+
+    it('.has should match simple and language tagged literals by their implied datatype', function () {
+      var cf = clownface.Graph(rdf.createGraph(), null, {
+        prefixes: {
+          rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+          xsd: 'http://www.w3.org/2001/XMLSchema#'
+        }
+      })
+
+      cf.node('http://example.org/a').addOut('http://example.org/label', 'text')
+      cf.node('http://example.org/b').addOut('http://example.org/label', {value: 'typed', datatype: 'http://www.w3.org/2001/XMLSchema#string'})
+      cf.node('http://example.org/c').addOut('http://example.org/label', {value: 'Text', language: 'de'})
+
+      var all = cf.node(['http://example.org/a', 'http://example.org/b', 'http://example.org/c'])
+
+      assert.deepEqual(all.has('http://example.org/label', {datatype: 'http://www.w3.org/2001/XMLSchema#string'}).literal(), ['http://example.org/a', 'http://example.org/b'])
+      assert.deepEqual(all.has('http://example.org/label', {datatype: 'rdf:langString'}).literal(), ['http://example.org/c'])
+    })
+
+    it('.hasIn should keep nodes with a matching incoming triple', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/bernadette-rostenkowski')
+
+      var result = cf
+        .out('http://schema.org/knows')
+        .hasIn('http://schema.org/spouse')
+        .literal()
+
+      assert.deepEqual(result, ['http://localhost:8080/data/person/howard-wolowitz'])
+    })
+
+    it('.hasIn should keep nodes with a matching incoming triple and value', function () {
+      var cf = clownface.Graph(tbbtGraph, [
+        'http://localhost:8080/data/person/howard-wolowitz',
+        'http://localhost:8080/data/person/penny'
+      ])
+
+      var result = cf
+        .hasIn('http://schema.org/knows', 'http://localhost:8080/data/person/bernadette-rostenkowski')
+        .hasIn('http://schema.org/spouse', ['http://localhost:8080/data/person/bernadette-rostenkowski'])
+        .literal()
+
+      assert.deepEqual(result, ['http://localhost:8080/data/person/howard-wolowitz'])
+    })
+
+    it('.cbd should return the concise bounded description of the nodes', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny')
+
+      var result = cf.cbd()
+
+      assert.equal(result.length, 16)
+      assert.equal(result.match('http://localhost:8080/data/person/penny').length, 11)
+      assert.equal(result.match(null, 'http://schema.org/addressLocality', 'Pasadena').length, 1)
+      assert.equal(result.match(null, null, 'http://localhost:8080/data/person/penny').length, 0)
+    })
+
+    it('.cbd should return a new graph', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny')
+
+      var result = cf.cbd()
+
+      result.removeMatches(null, null, null)
+
+      assert.equal(tbbtGraph.length, 126)
+      assert.equal(clownface.Graph(tbbtGraph).cbd().length, 0)
+    })
+
+    it('.cbd should follow nested blank nodes and stop at cycles', function () {
+      var cf = clownface.Graph(rdf.createGraph())
+
+      cf.node('http://example.org/a').addOut('http://example.org/p', function (b) {
+        b.addOut('http://example.org/p', function (c) {
+          c.addOut('http://example.org/p', b)
+          c.addOut('http://example.org/p', 'http://example.org/d')
+        })
+      })
+      cf.node('http://example.org/d').addOut('http://example.org/p', 'http://example.org/e')
+
+      assert.equal(cf.node('http://example.org/a').cbd().length, 4)
+    })
+
+    it('.cbd should include reified statements if requested', function () {
+      var cf = clownface.Graph(rdf.createGraph(), null, {
+        prefixes: {
+          ex: 'http://example.org/',
+          rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#'
+        }
+      })
+
+      cf.node('ex:a').addOut('ex:p', 'ex:b')
+      cf.blankNode()
+        .addOut('rdf:subject', 'ex:a')
+        .addOut('rdf:predicate', 'ex:p')
+        .addOut('rdf:object', 'ex:b')
+        .addOut('ex:source', 'ex:c')
+      cf.blankNode()
+        .addOut('rdf:subject', 'ex:a')
+        .addOut('rdf:predicate', 'ex:p')
+        .addOut('rdf:object', 'ex:c')
+
+      assert.equal(cf.node('ex:a').cbd().length, 1)
+      assert.equal(cf.node('ex:a').cbd({reified: true}).length, 5)
+    })
+
+    it('.scbd should also include incoming triples', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny')
+
+      var result = cf.scbd()
+
+      assert.equal(result.length, 16 + 8)
+      assert.equal(result.match(null, 'http://schema.org/knows', 'http://localhost:8080/data/person/penny').length, 8)
+      assert.equal(cf.cbd({symmetric: true}).length, 24)
+    })
+
+    it('.scbd should follow incoming blank nodes', function () {
+      var cf = clownface.Graph(tbbtGraph, '2311 North Los Robles Avenue, Aparment 4A')
+
+      var result = cf.scbd()
+
+      assert.equal(result.length, 4)
+      assert.equal(result.match(null, 'http://schema.org/address').length, 2)
+    })
+
+    it('.distinct should remove duplicate nodes', function () {
+      var cf = clownface.Graph(tbbtGraph, [
+        'http://localhost:8080/data/person/howard-wolowitz',
+        'http://localhost:8080/data/person/penny'
+      ])
+
+      var all = cf.out('http://schema.org/knows')
+      var result = all.distinct()
+
+      assert(result instanceof clownface.Graph)
+      assert.equal(all.nodes().length, 14)
+      assert.equal(result.nodes().length, 8)
+    })
+
+    it('.distinct should compare literals by datatype and language', function () {
+      var cf = clownface.Graph(tbbtGraph, ['1', 1, {value: '1', language: 'en'}, '1', 1])
+
+      assert.equal(cf.distinct().nodes().length, 3)
+    })
+
+    it('.union should combine the nodes of both objects without duplicates', function () {
+      var cf = clownface.Graph(tbbtGraph)
+      var howard = cf.node('http://localhost:8080/data/person/howard-wolowitz').out('http://schema.org/knows')
+      var penny = cf.node('http://localhost:8080/data/person/penny').out('http://schema.org/knows')
+
+      var result = howard.union(penny)
+
+      assert(result instanceof clownface.Graph)
+      assert.equal(result.nodes().length, 8)
+      assert.equal(howard.union('http://example.org/').nodes().length, 8)
+    })
+
+    it('.intersect should keep only the nodes contained in both objects', function () {
+      var cf = clownface.Graph(tbbtGraph)
+      var leonard = cf.node('http://localhost:8080/data/person/leonard-hofstadter').out('http://schema.org/knows')
+      var stuart = cf.node('http://localhost:8080/data/person/stuart-bloom').out('http://schema.org/knows')
+
+      var result = leonard.intersect(stuart).literal()
+
+      assert.equal(result.length, 6)
+      assert.equal(result.indexOf('http://localhost:8080/data/person/mary-cooper'), -1)
+      assert.equal(result.indexOf('http://localhost:8080/data/person/leonard-hofstadter'), -1)
+    })
+
+    it('.minus should remove the nodes contained in the other object', function () {
+      var cf = clownface.Graph(tbbtGraph)
+      var leonard = cf.node('http://localhost:8080/data/person/leonard-hofstadter').out('http://schema.org/knows')
+      var stuart = cf.node('http://localhost:8080/data/person/stuart-bloom').out('http://schema.org/knows')
+
+      var result = leonard.minus(stuart).literal()
+
+      assert.deepEqual(result.sort(), [
+        'http://localhost:8080/data/person/mary-cooper',
+        'http://localhost:8080/data/person/stuart-bloom'
+      ])
+      assert.equal(leonard.minus(['http://localhost:8080/data/person/mary-cooper']).nodes().length, 7)
+    })
+
+    it('.forEach should iterate over all nodes', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var count = 0
+
+      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski')
+        .in('http://schema.org/knows')
+        .forEach(function (item) {
+          assert(item instanceof clownface.Graph)
+          count++
+        })
+
+      assert.equal(count, 7)
+    })
+
+    it('.map should iterate over all nodes and return an array of the callback return value', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var result = cf.node('http://localhost:8080/data/person/bernadette-rostenkowski')
+        .in('http://schema.org/knows')
+        .map(function (item, index) {
+          assert(item instanceof clownface.Graph)
+
+          return index
+        })
+
+      assert.deepEqual(result, [0, 1, 2, 3, 4, 5, 6])
+    })
+
+    it('.toString should return the .literal string of a single node', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var givenName = cf.node('http://localhost:8080/data/person/bernadette-rostenkowski')
+        .out('http://schema.org/givenName')
+        .toString()
+
+      assert.equal(givenName, 'Bernadette')
+    })
+
+    it('.toString should return a comma separated string of .literal strings', function () {
+      var cf = clownface.Graph(tbbtGraph)
+
+      var givenName = cf.node([
+        'http://localhost:8080/data/person/bernadette-rostenkowski',
+        'http://localhost:8080/data/person/howard-wolowitz'
+      ])
+        .out('http://schema.org/givenName')
+        .toString()
+
+      assert.equal(givenName, 'Bernadette,Howard')
+    })
+
+    it('.toJSON should convert the outgoing triples to a nested object', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny')
+
+      var result = cf.toJSON({depth: 1})
+
+      assert.equal(result['@id'], 'http://localhost:8080/data/person/penny')
+      assert.equal(result['http://schema.org/givenName'], 'Penny')
+      assert.deepEqual(result['http://www.w3.org/1999/02/22-rdf-syntax-ns#type'], {'@id': 'http://schema.org/Person'})
+      assert.equal(result['http://schema.org/knows'].length, 7)
+      assert.deepEqual(result['http://schema.org/knows'][0], {'@id': 'http://localhost:8080/data/person/amy-farrah-fowler'})
+      assert.equal(Object.keys(result['http://schema.org/address']).length, 1)
+    })
+
+    it('.toJSON should convert blank nodes to nested objects without @id', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny', {
+        prefixes: {schema: 'http://schema.org/'}
+      })
+
+      var result = cf.toJSON({depth: 2, compact: true})
+
+      assert.deepEqual(result['schema:address'], {
+        'schema:addressCountry': 'US',
+        'schema:addressLocality': 'Pasadena',
+        'schema:addressRegion': 'CA',
+        'schema:postalCode': '91104',
+        'schema:streetAddress': '2311 North Los Robles Avenue, Aparment 4B'
+      })
+    })
+
+    it('.toJSON should compact predicates and IRIs', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny', {
+        prefixes: {
+          person: 'http://localhost:8080/data/person/',
+          rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+          schema: 'http://schema.org/'
+        }
+      })
+
+      var result = cf.toJSON({depth: 1, compact: true})
+
+      assert.equal(result['@id'], 'person:penny')
+      assert.deepEqual(result['rdf:type'], {'@id': 'schema:Person'})
+      assert.equal(result['schema:givenName'], 'Penny')
+    })
+
+    it('.toJSON should convert literals to native values', function () {
+      var cf = clownface.Graph(rdf.createGraph(), 'http://example.org/a')
+
+      cf.addOut('http://example.org/number', 5)
+        .addOut('http://example.org/boolean', true)
+        .addOut('http://example.org/date', new Date('2016-01-14T12:00:00Z'))
+
+      var result = cf.toJSON()
+
+      assert.strictEqual(result['http://example.org/number'], 5)
+      assert.strictEqual(result['http://example.org/boolean'], true)
+      assert.equal(result['http://example.org/date'].toISOString(), '2016-01-14T12:00:00.000Z')
+    })
+
+    it('.toJSON should emit @id references on cycles', function () {
+      var cf = clownface.Graph(rdf.createGraph(), null, {prefixes: {ex: 'http://example.org/'}})
+
+      cf.node('ex:a').addOut('ex:next', 'ex:b')
+      cf.node('ex:b').addOut('ex:next', 'ex:a')
+      cf.node('ex:b').addOut('ex:self', function (blank) {
+        blank.addOut('ex:self', blank)
+      })
+
+      var result = cf.node('ex:a').toJSON({compact: true})
+      var blank = result['ex:next']['ex:self']
+
+      assert.deepEqual(result['ex:next']['ex:next'], {'@id': 'ex:a'})
+      assert.equal(blank['ex:self']['@id'].slice(0, 2), '_:')
+      assert.equal(blank['@id'], blank['ex:self']['@id'])
+      assert.equal(result['ex:next']['@id'], 'ex:b')
+      assert.equal(JSON.stringify(result).length > 0, true)
+    })
+
+    it('.toJSON should force arrays for all or selected properties', function () {
+      var cf = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny', {
+        prefixes: {schema: 'http://schema.org/'}
+      })
+
+      var all = cf.toJSON({depth: 1, arrays: true})
+      var selected = cf.toJSON({depth: 1, compact: true, arrays: ['schema:givenName', 'http://schema.org/jobTitle']})
+
+      assert.deepEqual(all['http://schema.org/givenName'], ['Penny'])
+      assert.equal(all['@id'], 'http://localhost:8080/data/person/penny')
+      assert.deepEqual(selected['schema:givenName'], ['Penny'])
+      assert.deepEqual(selected['schema:jobTitle'], ['pharmaceutical sales representative'])
+      assert.equal(selected['schema:familyName'], undefined)
+      assert.equal(selected['schema:address']['@id'].slice(0, 2), '_:')
+    })
+
+    it('.toJSON should return an array for multiple nodes and be used by JSON.stringify', function () {
+      var cf = clownface.Graph(tbbtGraph, [
+        'http://localhost:8080/data/person/penny',
+        'http://localhost:8080/data/person/howard-wolowitz'
+      ])
+
+      var result = cf.out('http://schema.org/givenName').toJSON()
+      var json = JSON.parse(JSON.stringify({people: cf.node('http://localhost:8080/data/person/penny').out('http://schema.org/givenName')}))
+
+      assert.deepEqual(result, ['Penny', 'Howard'])
+      assert.deepEqual(json, {people: 'Penny'})
+    })
+  })
+
+  describe('RDF/JS', function () {
+    var blankNodeCount = 0
+
+    var factory = {
+      namedNode: function (value) {
+        return {termType: 'NamedNode', value: value}
+      },
+      blankNode: function (value) {
+        return {termType: 'BlankNode', value: value || 'b' + (++blankNodeCount)}
+      },
+      literal: function (value, languageOrDatatype) {
+        return {
+          termType: 'Literal',
+          value: value,
+          language: typeof languageOrDatatype === 'string' ? languageOrDatatype : '',
+          datatype: typeof languageOrDatatype === 'string'
+            ? factory.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#langString')
+            : languageOrDatatype || factory.namedNode('http://www.w3.org/2001/XMLSchema#string')
+        }
+      },
+      quad: function (subject, predicate, object) {
+        return {termType: 'Quad', subject: subject, predicate: predicate, object: object, graph: {termType: 'DefaultGraph', value: ''}}
+      },
+      dataset: function (quads) {
+        return new Dataset(quads)
+      }
+    }
+
+    // minimal dataset core, which is only iterable and deletes by value
+    var Dataset = function (quads) {
+      this.quads = {}
+
+      if (quads) {
+        quads.forEach(this.add.bind(this))
+      }
+    }
+
+    Dataset.prototype.key = function (quad) {
+      return [quad.subject, quad.predicate, quad.object].map(clownface.terms.key).join(' ')
+    }
+
+    Dataset.prototype.add = function (quad) {
+      this.quads[this.key(quad)] = quad
+
+      return this
+    }
+
+    Dataset.prototype.delete = function (quad) {
+      delete this.quads[this.key(quad)]
+
+      return this
+    }
+
+    Dataset.prototype[Symbol.iterator] = function () {
+      var quads = this.quads
+
+      return Object.keys(quads).map(function (key) {
+        return quads[key]
+      })[Symbol.iterator]()
+    }
+
+    Object.defineProperty(Dataset.prototype, 'size', {
+      get: function () {
+        return Object.keys(this.quads).length
+      }
+    })
+
+    // dataset with match, which only accepts RDF/JS terms like N3.js stores
+    var MatchDataset = function (quads) {
+      Dataset.call(this, quads)
+    }
+
+    MatchDataset.prototype = Object.create(Dataset.prototype)
+
+    MatchDataset.prototype.match = function (subject, predicate, object, graph) {
+      var pattern = {subject: subject, predicate: predicate, object: object, graph: graph}
+
+      return new Dataset(Array.from(this).filter(function (quad) {
+        return Object.keys(pattern).every(function (position) {
+          if (!pattern[position]) {
+            return true
+          }
+
+          assert.equal(typeof pattern[position].termType, 'string')
+
+          return pattern[position].termType === quad[position].termType && pattern[position].value === quad[position].value
+        })
+      }))
+    }
+
+    var convert = function (term) {
+      if (term.interfaceName === 'NamedNode') {
+        return factory.namedNode(term.nominalValue)
+      }
+
+      if (term.interfaceName === 'BlankNode') {
+        return factory.blankNode(term.nominalValue)
+      }
+
+      return factory.literal(term.nominalValue, term.language || (term.datatype && convert(term.datatype)))
+    }
+
+    var tbbtDataset = function () {
+      return factory.dataset(tbbtGraph.toArray().map(function (triple) {
+        return factory.quad(convert(triple.subject), convert(triple.predicate), convert(triple.object))
+      }))
+    }
+
+    it('should traverse RDF/JS datasets', function () {
+      var cf = clownface.Graph(tbbtDataset(), 'http://localhost:8080/data/person/penny', {factory: factory})
+      var legacy = clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny')
+
+      assert.deepEqual(cf.out('http://schema.org/knows').literal().sort(), legacy.out('http://schema.org/knows').literal().sort())
+      assert.deepEqual(cf.in('http://schema.org/knows').literal().sort(), legacy.in('http://schema.org/knows').literal().sort())
+      assert.deepEqual(cf.out('http://schema.org/knows').has('http://schema.org/givenName', 'Howard').literal(), ['http://localhost:8080/data/person/howard-wolowitz'])
+      assert.equal(cf.node('http://localhost:8080/data/person/penny').nodes()[0].termType, 'NamedNode')
+      assert.equal(cf.out('http://schema.org/address').nodes()[0].termType, 'BlankNode')
+    })
+
+    it('should write RDF/JS quads with the factory', function () {
+      var dataset = tbbtDataset()
+      var cf = clownface.Graph(dataset, 'http://localhost:8080/data/person/penny', {factory: factory})
+
+      cf.removeOut('http://schema.org/knows')
+        .addOut('http://schema.org/jobTitle', {value: 'Schauspielerin', language: 'de'})
+        .addList('http://example.org/numbers', [1, 2])
+
+      assert.equal(dataset.size, 126 - 7 + 1 + 5)
+      assert.deepEqual(cf.out('http://schema.org/knows').nodes(), [])
+      assert.equal(cf.has('http://schema.org/jobTitle', {language: 'de'}).nodes().length, 1)
+      assert.deepEqual(cf.out('http://example.org/numbers').list().map(function (item) {
+        return item.native()[0]
+      }), [1, 2])
+
+      var quads = Array.from(dataset)
+      var added = quads.filter(function (quad) {
+        return quad.object.language === 'de'
+      })
+
+      assert.equal(added.length, 1)
+      assert.equal(added[0].termType, 'Quad')
+      assert.equal(quads.filter(function (quad) {
+        return quad.predicate.value === 'http://www.w3.org/1999/02/22-rdf-syntax-ns#first'
+      })[0].object.datatype.value, 'http://www.w3.org/2001/XMLSchema#integer')
+    })
+
+    it('should use the match of datasets and see changes done outside of clownface', function () {
+      var dataset = new MatchDataset(Array.from(tbbtDataset()))
+      var cf = clownface.Graph(dataset, 'http://localhost:8080/data/person/penny', {factory: factory})
+
+      assert.equal(cf.out('http://schema.org/knows').nodes().length, 7)
+
+      dataset.add(factory.quad(factory.namedNode('http://localhost:8080/data/person/penny'), factory.namedNode('http://schema.org/knows'), factory.namedNode('http://example.org/someone')))
+
+      assert.equal(cf.out('http://schema.org/knows').nodes().length, 8)
+
+      dataset.delete(factory.quad(factory.namedNode('http://localhost:8080/data/person/penny'), factory.namedNode('http://schema.org/knows'), factory.namedNode('http://example.org/someone')))
+
+      assert.equal(cf.out('http://schema.org/knows').nodes().length, 7)
+
+      cf.addList('http://example.org/numbers', [1, 2])
+
+      assert.deepEqual(cf.out('http://example.org/numbers').list().map(function (item) {
+        return item.native()[0]
+      }), [1, 2])
+
+      cf.removeList('http://example.org/numbers')
+
+      assert.equal(dataset.size, 126)
+    })
+
+    it('should see changes of datasets without match done outside of clownface', function () {
+      var dataset = tbbtDataset()
+      var cf = clownface.Graph(dataset, 'http://localhost:8080/data/person/penny', {factory: factory})
+      var someone = factory.quad(factory.namedNode('http://localhost:8080/data/person/penny'), factory.namedNode('http://schema.org/knows'), factory.namedNode('http://example.org/someone'))
+
+      assert.equal(cf.out('http://schema.org/knows').nodes().length, 7)
+
+      dataset.add(someone)
+
+      assert.equal(cf.out('http://schema.org/knows').nodes().length, 8)
+
+      dataset.delete(someone)
+
+      assert.equal(cf.out('http://schema.org/knows').nodes().length, 7)
+    })
+
+    it('.reindex should be used for changes of datasets without match which keep the size', function () {
+      var dataset = tbbtDataset()
+      var cf = clownface.Graph(dataset, 'http://localhost:8080/data/person/penny', {factory: factory})
+      var values = function () {
+        return cf.out('http://schema.org/knows').nodes().map(function (node) {
+          return node.value
+        })
+      }
+      var known = values()[0]
+
+      dataset.delete(factory.quad(factory.namedNode('http://localhost:8080/data/person/penny'), factory.namedNode('http://schema.org/knows'), factory.namedNode(known)))
+      dataset.add(factory.quad(factory.namedNode('http://localhost:8080/data/person/penny'), factory.namedNode('http://schema.org/knows'), factory.namedNode('http://example.org/someone')))
+
+      assert.notEqual(values().indexOf(known), -1)
+      assert.equal(values().indexOf('http://example.org/someone'), -1)
+
+      assert.equal(cf.reindex(), cf)
+      assert.equal(values().length, 7)
+      assert.equal(values().indexOf(known), -1)
+      assert.notEqual(values().indexOf('http://example.org/someone'), -1)
+    })
+
+    it('.cbd should return a dataset of the factory', function () {
+      var cf = clownface.Graph(tbbtDataset(), 'http://localhost:8080/data/person/penny', {factory: factory})
+
+      var result = cf.cbd()
+
+      assert(result instanceof Dataset)
+      assert.equal(result.size, 16)
+    })
+
+    it('should treat equal terms of both data models as equal', function () {
+      assert(clownface.terms.equals(rdf.createLiteral('a'), factory.literal('a')))
+      assert(clownface.terms.equals(rdf.createLiteral('a', 'en'), factory.literal('a', 'en')))
+      assert(clownface.terms.equals(rdf.createNamedNode('http://example.org/'), factory.namedNode('http://example.org/')))
+      assert(!clownface.terms.equals(rdf.createLiteral('1'), factory.literal('1', factory.namedNode('http://www.w3.org/2001/XMLSchema#integer'))))
+    })
+  })
+
+  describe('entity', function () {
+    var options = {
+      prefixes: {
+        person: 'http://localhost:8080/data/person/',
+        schema: 'http://schema.org/'
+      }
+    }
+
+    var Address = clownface.entity({
+      locality: 'schema:addressLocality',
+      street: {path: 'schema:streetAddress'}
+    })
+
+    var Person = clownface.entity({
+      givenName: 'schema:givenName',
+      familyName: 'schema:familyName',
+      jobTitle: 'schema:jobTitle',
+      address: {path: 'schema:address', type: Address},
+      spouse: {
+        path: 'schema:spouse',
+        lazy: true,
+        type: function () {
+          return Person
+        }
+      },
+      knows: {
+        path: 'schema:knows',
+        lazy: true,
+        type: function () {
+          return Person
+        },
+        many: true
+      },
+      nicknames: {path: 'http://example.org/nickname', many: true}
+    })
+
+    it('should create an entity object with constructor or function call', function () {
+      var cf = clownface.Graph(tbbtGraph, 'person:penny', options)
+
+      assert(new Person(cf) instanceof Person)
+      assert(Person(cf) instanceof Person)
+      assert.equal(Person(cf).pointer, cf)
+    })
+
+    it('should throw an error if the pointer is not a single node', function () {
+      assert.throws(function () {
+        Person(clownface.Graph(tbbtGraph))
+      }, /exactly one node/)
+    })
+
+    it('should read literal properties', function () {
+      var penny = Person(clownface.Graph(tbbtGraph, 'person:penny', options))
+
+      assert.equal(penny.givenName, 'Penny')
+      assert.equal(penny.jobTitle, 'pharmaceutical sales representative')
+      assert.equal(penny.familyName, undefined)
+      assert.deepEqual(penny.nicknames, [])
+    })
+
+    it('should read typed properties as entities', function () {
+      var bernadette = Person(clownface.Graph(tbbtGraph, 'person:bernadette-rostenkowski', options))
+
+      assert(bernadette.spouse instanceof Person)
+      assert.equal(bernadette.spouse.givenName, 'Howard')
+      assert.equal(bernadette.spouse.spouse.givenName, 'Bernadette')
+      assert.equal(bernadette.knows.length, 7)
+      assert(bernadette.knows[0] instanceof Person)
+      assert.equal(Person(clownface.Graph(tbbtGraph, 'person:penny', options)).address.locality, 'Pasadena')
+    })
+
+    it('should read typed properties with user-defined classes', function () {
+      var Place = function (pointer) {
+        this.locality = pointer.out('schema:addressLocality').toString()
+      }
+
+      Place.prototype.label = function () {
+        return 'in ' + this.locality
+      }
+
+      var Resident = clownface.entity({
+        address: {path: 'schema:address', type: Place}
+      })
+
+      var address = Resident(clownface.Graph(tbbtGraph, 'person:penny', options)).address
+
+      assert(address instanceof Place)
+      assert.equal(address.label(), 'in Pasadena')
+    })
+
+    it('should write properties with remove and add', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()), 'person:penny', options)
+      var penny = Person(cf)
+
+      penny.familyName = 'Hofstadter'
+      penny.jobTitle = 'waitress'
+      penny.nicknames = ['Pen', 'Penny']
+
+      assert.equal(cf.out('schema:familyName').toString(), 'Hofstadter')
+      assert.deepEqual(cf.out('schema:jobTitle').literal(), ['waitress'])
+      assert.deepEqual(penny.nicknames.sort(), ['Pen', 'Penny'])
+
+      penny.jobTitle = null
+
+      assert.equal(cf.out('schema:jobTitle').nodes().length, 0)
+      assert.equal(penny.jobTitle, undefined)
+    })
+
+    it('should write entities as objects', function () {
+      var cf = clownface.Graph(tbbtGraph.merge(rdf.createGraph()), null, options)
+      var penny = Person(cf.node('person:penny'))
+      var leonard = Person(cf.node('person:leonard-hofstadter'))
+      var address = Address(cf.blankNode())
+
+      address.locality = 'Omaha'
+      penny.spouse = leonard
+      leonard.address = address
+      penny.knows = [leonard]
+
+      assert.equal(cf.node('person:penny').out('schema:spouse').toString(), 'http://localhost:8080/data/person/leonard-hofstadter')
+      assert.equal(penny.spouse.address.locality, 'Omaha')
+      assert.equal(penny.knows.length, 1)
+      assert.equal(penny.knows[0].givenName, 'Leonard')
+    })
+
+    it('should keep the property definitions on the class', function () {
+      assert.equal(Address.properties.locality, 'schema:addressLocality')
+      var address = Address(clownface.Graph(tbbtGraph).blankNode())
+      var keys = []
+
+      for (var key in address) {
+        keys.push(key)
+      }
+
+      assert.deepEqual(keys, ['locality', 'street'])
+    })
+  })
+
+  describe('GraphCache', function () {
+    var GraphCache = require('../lib/GraphCache')
+
+    var loader = function (requests) {
+      return function (iri) {
+        requests.push(iri)
+
+        return Promise.resolve({iri: iri})
+      }
+    }
+
+    it('should share pending and loaded graphs', function (done) {
+      var requests = []
+      var cache = new GraphCache()
+      var load = loader(requests)
+
+      Promise.all([cache.get('http://example.org/a', load), cache.get('http://example.org/a', load)]).then(function (graphs) {
+        assert.equal(graphs[0], graphs[1])
+
+        return cache.get('http://example.org/a', load)
+      }).then(function (graph) {
+        assert.equal(graph.iri, 'http://example.org/a')
+        assert.deepEqual(requests, ['http://example.org/a'])
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('should drop the least recently used graphs', function () {
+      var requests = []
+      var cache = new GraphCache({size: 2})
+      var load = loader(requests)
+
+      cache.get('http://example.org/a', load)
+      cache.get('http://example.org/b', load)
+      cache.get('http://example.org/a', load)
+      cache.get('http://example.org/c', load)
+      cache.get('http://example.org/a', load)
+      cache.get('http://example.org/b', load)
+
+      assert.deepEqual(requests, ['http://example.org/a', 'http://example.org/b', 'http://example.org/c', 'http://example.org/b'])
+    })
+
+    it('should reload expired and invalidated graphs', function (done) {
+      var requests = []
+      var cache = new GraphCache({ttl: 1})
+      var load = loader(requests)
+
+      cache.get('http://example.org/a', load)
+
+      setTimeout(function () {
+        cache.get('http://example.org/a', load)
+
+        assert.equal(requests.length, 2)
+
+        cache = new GraphCache()
+        cache.get('http://example.org/a', load)
+        cache.get('http://example.org/b', load)
+        cache.invalidate('http://example.org/a')
+        cache.get('http://example.org/a', load)
+        cache.get('http://example.org/b', load)
+
+        assert.equal(requests.length, 5)
+
+        cache.invalidate()
+        cache.get('http://example.org/b', load)
+
+        assert.equal(requests.length, 6)
+
+        done()
+      }, 5)
+    })
+
+    it('should not cache failed requests', function (done) {
+      var count = 0
+      var cache = new GraphCache()
+      var load = function () {
+        count++
+
+        return Promise.reject(new Error('failed'))
+      }
+
+      cache.get('http://example.org/a', load).catch(function () {
+        return cache.get('http://example.org/a', load)
+      }).catch(function (error) {
+        assert.equal(error.message, 'failed')
+        assert.equal(count, 2)
+
+        done()
+      })
+    })
+  })
+
+  describe('TripleIndex', function () {
+    var TripleIndex = require('../lib/TripleIndex')
+    var a = rdf.createNamedNode('http://example.org/a')
+    var b = rdf.createNamedNode('http://example.org/b')
+    var p = rdf.createNamedNode('http://example.org/p')
+
+    it('should add and count unique triples', function () {
+      var index = new TripleIndex()
+
+      assert.equal(index.add(rdf.createTriple(a, p, b)), true)
+      assert.equal(index.add(rdf.createTriple(a, p, b)), false)
+      assert.equal(index.add(rdf.createTriple(a, p, rdf.createLiteral('b'))), true)
+      assert.equal(index.size, 2)
+    })
+
+    it('should match triples by any combination of terms', function () {
+      var index = new TripleIndex([rdf.createTriple(a, p, b), rdf.createTriple(b, p, a), rdf.createTriple(a, p, a)])
+
+      assert.equal(index.match(null, null, null).length, 3)
+      assert.equal(index.match([a], null, null).length, 2)
+      assert.equal(index.match([a, a], [p], null).length, 2)
+      assert.equal(index.match(null, [p], [a]).length, 2)
+      assert.equal(index.match(null, null, [b]).length, 1)
+      assert.equal(index.match([b], null, [b]).length, 0)
+      assert.equal(index.match([], null, null).length, 0)
+    })
+
+    it('should distinguish typed and plain literals', function () {
+      var index = new TripleIndex([rdf.createTriple(a, p, rdf.createLiteral('1'))])
+
+      assert.equal(index.match(null, null, [rdf.createLiteral('1')]).length, 1)
+      assert.equal(index.match(null, null, [rdf.createLiteral('1', null, 'http://www.w3.org/2001/XMLSchema#integer')]).length, 0)
+    })
+
+    it('should remove triples', function () {
+      var index = new TripleIndex([rdf.createTriple(a, p, b), rdf.createTriple(b, p, a)])
+
+      assert.equal(index.remove(rdf.createTriple(a, p, b)), true)
+      assert.equal(index.remove(rdf.createTriple(a, p, b)), false)
+      assert.equal(index.size, 1)
+      assert.equal(index.match(null, null, null).length, 1)
+      assert.equal(index.match(null, null, [b]).length, 0)
+    })
+  })
+
+  describe('path', function () {
+    it('.parse should parse predicates', function () {
+      assert.deepEqual(clownface.path.parse('schema:knows'), {type: 'predicate', predicate: 'schema:knows'})
+      assert.deepEqual(clownface.path.parse('<http://schema.org/knows>'), {type: 'predicate', predicate: 'http://schema.org/knows'})
+      assert.deepEqual(clownface.path.parse('a'), {type: 'predicate', predicate: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type'})
+    })
+
+    it('.parse should respect the operator precedence', function () {
+      var result = clownface.path.parse('^ex:a+/ex:b | (ex:c|ex:d)*')
+
+      assert.deepEqual(result, {
+        type: 'alternative',
+        paths: [{
+          type: 'sequence',
+          paths: [
+            {type: 'inverse', path: {type: 'oneOrMore', path: {type: 'predicate', predicate: 'ex:a'}}},
+            {type: 'predicate', predicate: 'ex:b'}
+          ]
+        }, {
+          type: 'zeroOrMore',
+          path: {
+            type: 'alternative',
+            paths: [
+              {type: 'predicate', predicate: 'ex:c'},
+              {type: 'predicate', predicate: 'ex:d'}
+            ]
+          }
+        }]
+      })
+    })
+
+    it('.parse should throw an error on invalid expressions', function () {
+      ['', 'ex:a/', '(ex:a', 'ex:a)', 'ex:a//ex:b', '*', 'ex:a >'].forEach(function (expression) {
+        assert.throws(function () {
+          clownface.path.parse(expression)
+        }, /path expression/)
+      })
+    })
+
+    it('.from should convert arrays to sequence paths', function () {
+      var result = clownface.path.from(['ex:a', clownface.path.zeroOrOne('ex:b')])
+
+      assert.deepEqual(result, {
+        type: 'sequence',
+        paths: [
+          {type: 'predicate', predicate: 'ex:a'},
+          {type: 'zeroOrOne', path: {type: 'predicate', predicate: 'ex:b'}}
+        ]
+      })
+    })
+  })
+
+  describe('Query', function () {
+    var options = {prefixes: {foaf: 'http://xmlns.com/foaf/0.1/'}}
+
+    it('.select should compile the traversal to a SELECT query', function () {
+      var query = clownface.query(options)
+        .node('http://example.org/alice')
+        .out('foaf:knows')
+        .has('foaf:age')
+        .out('foaf:name')
+
+      assert.equal(query.select(), 'SELECT DISTINCT ?name WHERE {\n' +
+        '  <http://example.org/alice> <http://xmlns.com/foaf/0.1/knows> ?knows .\n' +
+        '  ?knows <http://xmlns.com/foaf/0.1/age> ?age .\n' +
+        '  ?knows <http://xmlns.com/foaf/0.1/name> ?name .\n' +
+        '}')
+      assert.equal(query.toString(), query.select())
+      assert.equal(query.context, '?name')
+    })
+
+    it('.construct should compile the traversal to a CONSTRUCT query', function () {
+      var query = clownface.Query(options).node('http://example.org/alice').in('foaf:knows')
+
+      assert.equal(query.construct(), 'CONSTRUCT {\n' +
+        '  ?knows <http://xmlns.com/foaf/0.1/knows> <http://example.org/alice> .\n' +
+        '} WHERE {\n' +
+        '  ?knows <http://xmlns.com/foaf/0.1/knows> <http://example.org/alice> .\n' +
+        '}')
+    })
+
+    it('should use VALUES for multiple nodes and unique variable names', function () {
+      var query = clownface.query(options)
+        .node(['http://example.org/alice', 'http://example.org/bob'])
+        .out(['foaf:knows', 'foaf:friend'])
+        .out('foaf:knows')
+
+      assert.equal(query.select(), 'SELECT DISTINCT ?knows2 WHERE {\n' +
+        '  VALUES ?node { <http://example.org/alice> <http://example.org/bob> }\n' +
+        '  VALUES ?knowsPredicate { <http://xmlns.com/foaf/0.1/knows> <http://xmlns.com/foaf/0.1/friend> }\n' +
+        '  ?node ?knowsPredicate ?knows .\n' +
+        '  ?knows <http://xmlns.com/foaf/0.1/knows> ?knows2 .\n' +
+        '}')
+    })
+
+    it('.has should match values and regular expressions', function () {
+      var query = clownface.query(options)
+        .node('http://example.org/alice')
+        .in('foaf:knows')
+        .has('foaf:age', 42)
+        .hasIn('foaf:knows', 'http://example.org/bob')
+        .has('foaf:name', /^b/i)
+
+      assert.equal(query.select(), 'SELECT DISTINCT ?knows WHERE {\n' +
+        '  ?knows <http://xmlns.com/foaf/0.1/knows> <http://example.org/alice> .\n' +
+        '  ?knows <http://xmlns.com/foaf/0.1/age> "42"^^<http://www.w3.org/2001/XMLSchema#integer> .\n' +
+        '  <http://example.org/bob> <http://xmlns.com/foaf/0.1/knows> ?knows .\n' +
+        '  ?knows <http://xmlns.com/foaf/0.1/name> ?name .\n' +
+        '  FILTER (regex(str(?name), "^b", "i"))\n' +
+        '}')
+    })
+
+    it('should bind a single start node to a variable', function () {
+      assert.equal(clownface.query().node('http://example.org/alice').select(), 'SELECT DISTINCT ?node WHERE {\n' +
+        '  VALUES ?node { <http://example.org/alice> }\n' +
+        '}')
+    })
+
+    it('should not change the existing query', function () {
+      var alice = clownface.query(options).node('http://example.org/alice')
+
+      alice.out('foaf:knows')
+
+      assert.equal(alice.context, '<http://example.org/alice>')
+      assert.equal(alice.node('http://example.org/bob').context, '<http://example.org/bob>')
+    })
+
+    it('should throw an error without start node or with unknown prefixes', function () {
+      assert.throws(function () {
+        clownface.query(options).out('foaf:knows')
+      }, /query requires a start node/)
+
+      assert.throws(function () {
+        clownface.query().node('http://example.org/alice').out('foaf:knows')
+      }, /unknown prefix: foaf/)
+    })
+
+    it('should throw an error on blank nodes', function () {
+      assert.throws(function () {
+        clownface.query(options).node('_:b1').out('foaf:knows')
+      }, /blank nodes can not be used in queries: _:b1/)
+
+      assert.throws(function () {
+        clownface.query(options).node('http://example.org/alice').has('foaf:knows', ['_:b1', 'http://example.org/bob'])
+      }, /blank nodes can not be used in queries/)
+    })
+
+    it('should keep the multiline flag of regular expressions', function () {
+      var query = clownface.query(options).node('http://example.org/alice').has('foaf:name', /^b/m)
+
+      assert.equal(query.select().indexOf('FILTER (regex(str(?name), "^b", "m"))') !== -1, true)
+    })
+  })
+
+  describe('SparqlStore', function () {
+    var options = {prefixes: {schema: 'http://schema.org/'}}
+
+    var termJson = function (term) {
+      if (term.interfaceName === 'NamedNode') {
+        return {type: 'uri', value: term.nominalValue}
+      }
+
+      if (term.interfaceName === 'BlankNode') {
+        return {type: 'bnode', value: term.nominalValue}
+      }
+
+      var json = {type: 'literal', value: term.nominalValue}
+
+      if (term.language) {
+        json['xml:lang'] = term.language
+      }
+
+      if (term.datatype) {
+        json.datatype = term.datatype.nominalValue
+      }
+
+      return json
+    }
+
+    // in-process stand-in which evaluates the VALUES blocks of the generated queries on the test data
+    var endpoint = function (requests, batchSize, status) {
+      return {
+        url: 'http://example.org/sparql',
+        batchSize: batchSize,
+        fetch: function (url, init) {
+          var query = decodeURIComponent(init.body.slice(6))
+          var values = {}
+          var regex = /VALUES \?(\w+) \{ (.*) \}/g
+          var result
+
+          requests.push(query)
+
+          while ((result = regex.exec(query)) !== null) {
+            values[result[1]] = result[2].match(/<[^>]*>|"(?:[^"\\]|\\.)*"(?:@[\w-]+|\^\^<[^>]*>)?/g)
+          }
+
+          var bindings = tbbtGraph.toArray().filter(function (triple) {
+            return ['subject', 'predicate', 'object'].every(function (name) {
+              return !values[name] || values[name].indexOf(triple[name].toNT()) !== -1
+            })
+          }).map(function (triple) {
+            return {
+              subject: termJson(triple.subject),
+              predicate: termJson(triple.predicate),
+              object: termJson(triple.object)
+            }
+          })
+
+          return Promise.resolve({
+            ok: !status,
+            status: status,
+            json: function () {
+              return Promise.resolve({head: {vars: ['subject', 'predicate', 'object']}, results: {bindings: bindings}})
+            }
+          })
+        }
+      }
+    }
+
+    it('.out should query the objects of the context nodes', function (done) {
+      var requests = []
+      var cf = clownface.SparqlStore(endpoint(requests), 'http://localhost:8080/data/person/penny', options)
+
+      cf.out('schema:knows').then(function (result) {
+        assert(result instanceof clownface.SparqlStore)
+        assert.deepEqual(result.literal().sort(), clownface.Graph(tbbtGraph, 'http://localhost:8080/data/person/penny').out('http://schema.org/knows').literal().sort())
+        assert.equal(requests.length, 1)
+
+        return result.out('schema:givenName')
+      }).then(function (result) {
+        assert.equal(result.nodes().length, 7)
+        assert.equal(requests.length, 2)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.in should query the subjects of the context nodes', function (done) {
+      var cf = clownface.SparqlStore(endpoint([]), 'http://localhost:8080/data/person/penny', options)
+
+      cf.in('schema:knows').then(function (result) {
+        assert.equal(result.nodes().length, 8)
+        assert.equal(result.nodes()[0].interfaceName, 'NamedNode')
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('should batch the context nodes and cache the results per step', function (done) {
+      var requests = []
+      var cf = clownface.SparqlStore(endpoint(requests, 3), 'http://localhost:8080/data/person/penny', options)
+
+      cf.out('schema:knows').then(function (result) {
+        return result.out('schema:givenName')
+      }).then(function (result) {
+        assert.equal(requests.length, 4)
+        assert.equal(result.nodes()[0].interfaceName, 'Literal')
+
+        return cf.out('schema:knows')
+      }).then(function (result) {
+        return result.out('schema:givenName')
+      }).then(function (result) {
+        assert.equal(requests.length, 4)
+        assert.equal(result.nodes().length, 7)
+
+        return cf.clearCache().out('schema:knows')
+      }).then(function () {
+        assert.equal(requests.length, 5)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('should share pending requests of identical steps', function (done) {
+      var requests = []
+      var cf = clownface.SparqlStore(endpoint(requests), 'http://localhost:8080/data/person/penny', options)
+
+      Promise.all([cf.out('schema:knows'), cf.out('schema:knows')]).then(function (results) {
+        assert.equal(requests.length, 1)
+        assert.equal(results[0].nodes().length, 7)
+        assert.equal(results[1].nodes().length, 7)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('should cache the results per object and limit them with the cache options', function (done) {
+      var requests = []
+      var penny = 'http://localhost:8080/data/person/penny'
+      var limited = clownface.SparqlStore(endpoint(requests), penny, {prefixes: options.prefixes, cache: {size: 1}})
+
+      limited.out('schema:knows').then(function () {
+        return limited.in('schema:knows')
+      }).then(function () {
+        return limited.out('schema:knows')
+      }).then(function () {
+        assert.equal(requests.length, 3)
+
+        return clownface.SparqlStore(endpoint(requests), penny, options).out('schema:knows')
+      }).then(function () {
+        assert.equal(requests.length, 4)
+
+        var cache = new clownface.GraphCache()
+        var shared = endpoint(requests)
+
+        return clownface.SparqlStore(shared, penny, {cache: cache}).out('http://schema.org/knows').then(function () {
+          return clownface.SparqlStore(shared, penny, {cache: cache}).out('http://schema.org/knows')
+        })
+      }).then(function () {
+        assert.equal(requests.length, 5)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('should reject if the request fails', function (done) {
+      var cf = clownface.SparqlStore(endpoint([], null, 500), 'http://localhost:8080/data/person/penny')
+
+      cf.out('http://schema.org/knows').then(function () {
+        done(new Error('no error thrown'))
+      }, function (error) {
+        assert.equal(error.message, 'SPARQL request failed: 500')
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+  })
+
+  describe('Store', function () {
+    it('should create a Store object with constructor', function () {
+      var cf = new clownface.Store(tbbtStore)
+
+      // TODO: add missing functions
+      assert.equal(typeof cf.node, 'function')
+      assert.equal(typeof cf.in, 'function')
+      assert.equal(typeof cf.out, 'function')
+      assert.equal(typeof cf.literal, 'function')
+      assert.equal(typeof cf.jump, 'function')
+    })
+
+    it('should create a Store object with function call', function () {
+      var cf = clownface.Store(tbbtStore)
+
+      assert.equal(typeof cf.node, 'function')
+      assert.equal(typeof cf.in, 'function')
+      assert.equal(typeof cf.out, 'function')
+      assert.equal(typeof cf.literal, 'function')
+    })
+
+    it('should create an empty node context', function () {
+      var cf = clownface.Store(tbbtStore)
+
+      var result = cf.nodes()
+
+      assert(Array.isArray(result))
+      assert.equal(result.length, 0)
+    })
+
+    it('should create context from existing node object', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node(rdf.createNamedNode('http://localhost:8080/data/person/stuart-bloom'), null, function (result) {
+        result = result.nodes()
+
+        assert.equal(result.length, 1)
+        assert.equal(result[0].interfaceName, 'NamedNode')
+        assert.equal(result[0].nominalValue, 'http://localhost:8080/data/person/stuart-bloom')
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.node should support Promise .then', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node(rdf.createNamedNode('http://localhost:8080/data/person/stuart-bloom'))
+        .then(function (result) {
+          result = result.nodes()
+
+          assert.equal(result.length, 1)
+          assert.equal(result[0].interfaceName, 'NamedNode')
+          assert.equal(result[0].nominalValue, 'http://localhost:8080/data/person/stuart-bloom')
+
+          done()
+        }).catch(function (error) {
+          done(error)
+        })
+    })
+
+    it('should create named node context', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node('http://localhost:8080/data/person/stuart-bloom', null, function (result) {
+        result = result.nodes()
+
+        assert.equal(result.length, 1)
+        assert.equal(result[0].interfaceName, 'NamedNode')
+        assert.equal(result[0].nominalValue, 'http://localhost:8080/data/person/stuart-bloom')
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('should create literal node context', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node('2311 North Los Robles Avenue, Aparment 4A', null, function (result) {
+        result = result.nodes()
+
+        assert.equal(result.length, 1)
+        assert.equal(result[0].interfaceName, 'Literal')
+        assert.equal(result[0].nominalValue, '2311 North Los Robles Avenue, Aparment 4A')
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('should create literal node context from number', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node(123, 'http://example.org/', function (result) {
+        result = result.nodes()
+
+        assert.equal(result.length, 1)
+        assert.equal(result[0].interfaceName, 'Literal')
+        assert.equal(result[0].nominalValue, '123')
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('should throw an error on unknown type', function () {
+      var cf = clownface.Store(tbbtStore)
+      var result
+      var catched = false
+
+      try {
+        result = cf.node(/.*/).nodes()
+      } catch (e) {
+        catched = true
+      }
+
+      assert.equal(catched, true)
+      assert.equal(result, undefined)
+    })
+
+    it('should create multiple nodes from array', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node(['1', '2'], 'http://localhost:8080/data/person/sheldon-cooper', function (result) {
+        result = result.nodes()
+
+        assert.equal(result.length, 2)
+        assert.equal(result[0].interfaceName, 'Literal')
+        assert.equal(result[1].interfaceName, 'Literal')
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.store should return the store object', function () {
+      var cf = clownface.Store(tbbtStore)
+
+      assert.equal(cf.store(), tbbtStore)
+    })
+
+    it('.in should search object->subject', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node('2311 North Los Robles Avenue, Aparment 4A', 'http://localhost:8080/data/person/sheldon-cooper', function (result) {
+        result = result
+          .in('http://schema.org/streetAddress')
+          .nodes()
+
+        assert.equal(result.length, 1)
+        assert.equal(result[0].interfaceName, 'BlankNode')
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.in should search object->subject with multiple predicate values', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski', 'http://localhost:8080/data/person/howard-wolowitz', function (result) {
+        result = result
+          .in(['http://schema.org/spouse', 'http://schema.org/knows'])
+          .nodes()
+
+        assert.equal(result.length, 2)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.out should search subject->object', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node('http://localhost:8080/data/person/amy-farrah-fowler', null, function (result) {
+        result = result
+          .out('http://schema.org/jobTitle')
+          .nodes()
+
+        assert.equal(result.length, 1)
+        assert.equal(result[0].interfaceName, 'Literal')
+        assert.equal(result[0].nominalValue, 'neurobiologist')
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.out should search subject->object with multiple predicate values', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski', null, function (result) {
+        result = result
+          .out(['http://schema.org/familyName', 'http://schema.org/givenName'])
+          .nodes()
+
+        assert.equal(result.length, 2)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.out should expand CURIE predicates', function (done) {
+      var cf = clownface.Store(tbbtStore, null, {
+        prefixes: {
+          person: 'http://localhost:8080/data/person/',
+          schema: 'http://schema.org/'
+        }
+      })
+
+      cf.node('person:amy-farrah-fowler', null, function (result) {
+        result = result.out('schema:jobTitle')
+
+        assert.equal(result.toString(), 'neurobiologist')
+        assert.equal(result.in('schema:jobTitle').toString({compact: true}), 'person:amy-farrah-fowler')
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.has and .hasIn should filter nodes in the named graph', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski', null, function (result) {
+        assert.equal(result.out('http://schema.org/knows').hasIn('http://schema.org/spouse').toString(), 'http://localhost:8080/data/person/howard-wolowitz')
+
+        return result.out('http://schema.org/knows').jump().then(function (result) {
+          result = result.has('http://schema.org/jobTitle', / physicist$/)
+
+          assert(result instanceof clownface.Store)
+          assert.equal(result.nodes().length, 2)
+
+          done()
+        })
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.cbd and .scbd should return the descriptions of all nodes in their named graphs', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski', null, function (result) {
+        return result.out('http://schema.org/knows').jump().then(function (jumped) {
+          var people = jumped.has('http://schema.org/givenName', ['Penny', 'Howard'])
+
+          assert.equal(people.cbd().length, 16 + 13)
+          assert.equal(people.scbd().length, 16 + 13)
+          assert.equal(people.out('http://schema.org/address').scbd().length, 1 + 5)
+
+          done()
+        })
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.distinct, .union, .intersect and .minus should compare the graph IRI', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node('http://localhost:8080/data/person/howard-wolowitz', null, function (howard) {
+        var knows = howard.out('http://schema.org/knows')
+
+        return knows.jump().then(function (jumped) {
+          assert.equal(knows.union(knows).nodes().length, 7)
+          assert(knows.union(knows) instanceof clownface.Store)
+          assert.equal(knows.union(jumped).nodes().length, 14)
+          assert.equal(knows.union(jumped).distinct().nodes().length, 14)
+          assert.equal(knows.intersect(jumped).nodes().length, 0)
+          assert.equal(knows.intersect(knows.toArray()[0]).nodes().length, 1)
+          assert.equal(knows.minus(jumped).nodes().length, 7)
+          assert.equal(knows.minus(knows.toArray()[0]).nodes().length, 6)
+
+          done()
+        })
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.path should follow property paths in the named graph', function (done) {
+      var cf = clownface.Store(tbbtStore, null, {prefixes: {schema: 'http://schema.org/'}})
+
+      cf.node('http://localhost:8080/data/person/penny', null, function (result) {
+        result = result.path('schema:address/schema:addressLocality')
+
+        assert(result instanceof clownface.Store)
+        assert.equal(result.toString(), 'Pasadena')
+        assert.equal(result.nodes()[0].graphIri, 'http://localhost:8080/data/person/penny')
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.list should return the items of a rdf:List in order', function (done) {
+      var store = rdf.createStore()
+      var graph = rdf.createGraph()
+
+      clownface.Graph(graph, 'http://example.org/list').addList('http://example.org/items', ['a', 'b'])
+
+      store.add('http://example.org/', graph).then(function () {
+        return clownface.Store(store).node('http://example.org/list', 'http://example.org/', function (result) {
+          result = result.out('http://example.org/items').list()
+
+          assert.equal(result.length, 2)
+          assert(result[0] instanceof clownface.Store)
+          assert.equal(result[0].toString(), 'a')
+          assert.equal(result[1].toString(), 'b')
+          assert.equal(result[1].nodes()[0].graphIri, 'http://example.org/')
+
+          done()
+        })
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('should keep the graph of nodes shared by multiple named graphs', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski', null, function (result) {
+        var knows = result.out('http://schema.org/knows')
+
+        return knows.jump().then(function (jumped) {
+          assert.equal(knows.nodes()[0].graphIri, 'http://localhost:8080/data/person/bernadette-rostenkowski')
+          assert.notEqual(jumped.nodes()[0].graphIri, 'http://localhost:8080/data/person/bernadette-rostenkowski')
+
+          done()
+        })
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.addOut should add triples to the named graph of each node and persist it', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
+
+        return cf.node('http://localhost:8080/data/person/bernadette-rostenkowski', null, function (result) {
+          return result.out('http://schema.org/knows').jump()
+        }).then(function (result) {
+          return result.addOut('http://schema.org/nationality', 'American')
+        }).then(function (result) {
+          assert(result instanceof clownface.Store)
+
+          return Promise.all([
+            store.graph('http://localhost:8080/data/person/penny'),
+            store.graph('http://localhost:8080/data/person/howard-wolowitz'),
+            store.graph('http://localhost:8080/data/person/bernadette-rostenkowski')
+          ])
+        }).then(function (graphs) {
+          assert.equal(graphs[0].match(null, 'http://schema.org/nationality', 'American').length, 1)
+          assert.equal(graphs[0].match('http://localhost:8080/data/person/howard-wolowitz').length, 0)
+          assert.equal(graphs[1].match(null, 'http://schema.org/nationality', 'American').length, 1)
+          assert.equal(graphs[2].match(null, 'http://schema.org/nationality').length, 0)
+
+          done()
+        })
+      }).catch(function (error) {
+        done(error)
+      })
+    })
 
-      var result = cf.nodes()
+    it('.addOut should wait for the callback before it resolves', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
 
-      assert(Array.isArray(result))
-      assert.equal(result.length, 0)
-    })
+        return cf.node('http://localhost:8080/data/person/penny', null, function (result) {
+          return result.addOut('http://schema.org/address', 'http://example.org/address', function (address) {
+            assert(address instanceof clownface.Store)
+            assert.equal(address.nodes()[0].graphIri, 'http://localhost:8080/data/person/penny')
 
-    it('should create context from existing node object', function (done) {
-      var cf = clownface.Store(tbbtStore)
+            return address.addOut('http://schema.org/addressLocality', 'Omaha')
+          })
+        }).then(function () {
+          return cf.node('http://localhost:8080/data/person/penny')
+        }).then(function (result) {
+          assert.deepEqual(result.out('http://schema.org/address').out('http://schema.org/addressLocality').literal().sort(), ['Omaha', 'Pasadena'])
 
-      cf.node(rdf.createNamedNode('http://localhost:8080/data/person/stuart-bloom'), null, function (result) {
-        result = result.nodes()
+          done()
+        })
+      }).catch(function (error) {
+        done(error)
+      })
+    })
 
-        assert.equal(result.length, 1)
-        assert.equal(result[0].interfaceName, 'NamedNode')
-        assert.equal(result[0].nominalValue, 'http://localhost:8080/data/person/stuart-bloom')
+    it('.on should emit added and removed events with the named graph IRI after the graphs are written', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
+        var events = []
+
+        var listener = function (type) {
+          return function (event) {
+            return store.graph(event.graphIri).then(function (graph) {
+              events.push({type: type, event: event, length: graph.length})
+            })
+          }
+        }
+
+        assert.equal(cf.on('added', listener('added')).on('removed', listener('removed')), cf)
+
+        return cf.node('http://localhost:8080/data/person/bernadette-rostenkowski', null, function (result) {
+          return result.out('http://schema.org/knows').jump()
+        }).then(function (result) {
+          return result.has('http://schema.org/givenName', ['Penny', 'Howard']).addOut('http://schema.org/nationality', 'American')
+        }).then(function () {
+          return cf.node('http://localhost:8080/data/person/penny')
+        }).then(function (penny) {
+          return penny.removeOut('http://schema.org/jobTitle')
+        }).then(function () {
+          return Promise.resolve()
+        }).then(function () {
+          assert.deepEqual(events.map(function (item) {
+            return [item.type, item.event.graphIri, item.event.triples.length, item.length]
+          }), [
+            ['added', 'http://localhost:8080/data/person/howard-wolowitz', 1, 14],
+            ['added', 'http://localhost:8080/data/person/penny', 1, 17],
+            ['removed', 'http://localhost:8080/data/person/penny', 1, 16]
+          ])
 
-        done()
+          done()
+        })
       }).catch(function (error) {
         done(error)
       })
     })
 
-    it('.node should support Promise .then', function (done) {
-      var cf = clownface.Store(tbbtStore)
+    it('.transaction should write all touched graphs after the callback', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
+        var events = []
 
-      cf.node(rdf.createNamedNode('http://localhost:8080/data/person/stuart-bloom'))
-        .then(function (result) {
-          result = result.nodes()
+        cf.on('added', function (event) {
+          events.push(event.graphIri)
+        })
 
-          assert.equal(result.length, 1)
-          assert.equal(result[0].interfaceName, 'NamedNode')
-          assert.equal(result[0].nominalValue, 'http://localhost:8080/data/person/stuart-bloom')
+        return cf.transaction(function (pointer) {
+          return pointer.node('http://localhost:8080/data/person/penny').then(function (penny) {
+            return penny.addOut('http://schema.org/nationality', 'American')
+          }).then(function () {
+            return pointer.node('http://localhost:8080/data/person/howard-wolowitz')
+          }).then(function (howard) {
+            return howard.addOut('http://schema.org/nationality', 'American')
+          }).then(function () {
+            assert.equal(events.length, 0)
+          })
+        }).then(function (result) {
+          assert.equal(result, cf)
+          assert.deepEqual(events, ['http://localhost:8080/data/person/penny', 'http://localhost:8080/data/person/howard-wolowitz'])
+
+          return store.graph('http://localhost:8080/data/person/penny')
+        }).then(function (graph) {
+          assert.equal(graph.length, 17)
 
           done()
-        }).catch(function (error) {
-          done(error)
         })
+      }).catch(function (error) {
+        done(error)
+      })
     })
 
-    it('should create named node context', function (done) {
-      var cf = clownface.Store(tbbtStore)
+    it('.transaction should roll back all touched graphs if the callback fails', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
+        var penny
 
-      cf.node('http://localhost:8080/data/person/stuart-bloom', null, function (result) {
-        result = result.nodes()
+        return cf.transaction(function (pointer) {
+          return pointer.node('http://localhost:8080/data/person/penny').then(function (result) {
+            penny = result
 
-        assert.equal(result.length, 1)
-        assert.equal(result[0].interfaceName, 'NamedNode')
-        assert.equal(result[0].nominalValue, 'http://localhost:8080/data/person/stuart-bloom')
+            return penny.removeOut('http://schema.org/knows')
+          }).then(function () {
+            throw new Error('failed')
+          })
+        }).then(function () {
+          done(new Error('no error thrown'))
+        }, function (error) {
+          assert.equal(error.message, 'failed')
+          assert.equal(penny.graphs()[0].length, 16)
+          assert.equal(penny.out('http://schema.org/knows').nodes().length, 7)
 
-        done()
+          return store.graph('http://localhost:8080/data/person/penny').then(function (graph) {
+            assert.equal(graph.length, 16)
+
+            done()
+          })
+        })
       }).catch(function (error) {
         done(error)
       })
     })
 
-    it('should create literal node context', function (done) {
-      var cf = clownface.Store(tbbtStore)
+    it('.transaction should not journal writes of the outer object while the callback is pending', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
 
-      cf.node('2311 North Los Robles Avenue, Aparment 4A', null, function (result) {
-        result = result.nodes()
+        var transaction = cf.transaction(function (pointer) {
+          return pointer.node('http://localhost:8080/data/person/penny').then(function (penny) {
+            return penny.addOut('http://schema.org/nationality', 'American')
+          }).then(function () {
+            throw new Error('failed')
+          })
+        })
 
-        assert.equal(result.length, 1)
-        assert.equal(result[0].interfaceName, 'Literal')
-        assert.equal(result[0].nominalValue, '2311 North Los Robles Avenue, Aparment 4A')
+        var write = cf.node('http://localhost:8080/data/person/howard-wolowitz').then(function (howard) {
+          return howard.addOut('http://schema.org/nationality', 'American')
+        })
 
-        done()
+        return Promise.all([transaction.catch(function () {}), write]).then(function () {
+          return store.graph('http://localhost:8080/data/person/howard-wolowitz')
+        }).then(function (graph) {
+          assert.equal(clownface.Graph(graph, 'http://localhost:8080/data/person/howard-wolowitz').out('http://schema.org/nationality').toString(), 'American')
+
+          return store.graph('http://localhost:8080/data/person/penny')
+        }).then(function (graph) {
+          assert.equal(clownface.Graph(graph, 'http://localhost:8080/data/person/penny').out('http://schema.org/nationality').nodes().length, 0)
+
+          done()
+        })
       }).catch(function (error) {
         done(error)
       })
     })
 
-    it('should create literal node context from number', function (done) {
-      var cf = clownface.Store(tbbtStore)
-
-      cf.node(123, 'http://example.org/', function (result) {
-        result = result.nodes()
-
-        assert.equal(result.length, 1)
-        assert.equal(result[0].interfaceName, 'Literal')
-        assert.equal(result[0].nominalValue, '123')
+    it('.transaction should roll back all touched graphs if writing a graph fails', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var failing = {
+          graph: store.graph.bind(store),
+          add: function (iri, graph) {
+            if (iri === 'http://localhost:8080/data/person/howard-wolowitz') {
+              return Promise.reject(new Error('write failed'))
+            }
+
+            return store.add(iri, graph)
+          }
+        }
+
+        var cf = clownface.Store(failing)
+        var penny
+        var howard
+
+        return cf.transaction(function (pointer) {
+          return pointer.node('http://localhost:8080/data/person/penny').then(function (result) {
+            penny = result
+
+            return penny.addOut('http://schema.org/nationality', 'American')
+          }).then(function () {
+            return pointer.node('http://localhost:8080/data/person/howard-wolowitz')
+          }).then(function (result) {
+            howard = result
+
+            return howard.addOut('http://schema.org/nationality', 'American')
+          })
+        }).then(function () {
+          throw new Error('no error thrown')
+        }, function (error) {
+          assert.equal(error.message, 'write failed')
+          assert.equal(penny.out('http://schema.org/nationality').nodes().length, 0)
+          assert.equal(howard.out('http://schema.org/nationality').nodes().length, 0)
+
+          return store.graph('http://localhost:8080/data/person/penny')
+        }).then(function (graph) {
+          assert.equal(graph.length, 16)
+          assert.equal(clownface.Graph(graph, 'http://localhost:8080/data/person/penny').out('http://schema.org/nationality').nodes().length, 0)
 
-        done()
+          done()
+        })
       }).catch(function (error) {
         done(error)
       })
     })
 
-    it('should throw an error on unknown type', function () {
-      var cf = clownface.Store(tbbtStore)
-      var result
-      var catched = false
+    it('.transaction should not roll back writes of other objects of the store', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
+        var other = clownface.Store(store)
+
+        var transaction = cf.transaction(function (pointer) {
+          return pointer.node('http://localhost:8080/data/person/penny').then(function (penny) {
+            return penny.addOut('http://schema.org/nationality', 'American')
+          }).then(function () {
+            return other.node('http://localhost:8080/data/person/penny')
+          }).then(function (penny) {
+            return penny.addOut('http://schema.org/colleague', 'http://example.org/someone')
+          }).then(function () {
+            throw new Error('failed')
+          })
+        })
 
-      try {
-        result = cf.node(/.*/).nodes()
-      } catch (e) {
-        catched = true
-      }
+        return transaction.then(function () {
+          throw new Error('no error thrown')
+        }, function (error) {
+          assert.equal(error.message, 'failed')
 
-      assert.equal(catched, true)
-      assert.equal(result, undefined)
+          return store.graph('http://localhost:8080/data/person/penny')
+        }).then(function (graph) {
+          var penny = clownface.Graph(graph, 'http://localhost:8080/data/person/penny')
+
+          assert.equal(penny.out('http://schema.org/nationality').nodes().length, 0)
+          assert.equal(penny.out('http://schema.org/colleague').toString(), 'http://example.org/someone')
+
+          done()
+        })
+      }).catch(function (error) {
+        done(error)
+      })
     })
 
-    it('should create multiple nodes from array', function (done) {
-      var cf = clownface.Store(tbbtStore)
+    it('.addOut should create blank nodes in the named graph if only a callback is given', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
 
-      cf.node(['1', '2'], 'http://localhost:8080/data/person/sheldon-cooper', function (result) {
-        result = result.nodes()
+        return cf.node('http://localhost:8080/data/person/howard-wolowitz', null, function (result) {
+          return result.addOut('http://schema.org/address', function (address) {
+            assert.equal(address.nodes()[0].interfaceName, 'BlankNode')
+            assert.equal(address.nodes()[0].graphIri, 'http://localhost:8080/data/person/howard-wolowitz')
 
-        assert.equal(result.length, 2)
-        assert.equal(result[0].interfaceName, 'Literal')
-        assert.equal(result[1].interfaceName, 'Literal')
+            return address.addOut('http://schema.org/addressLocality', 'Pasadena')
+          })
+        }).then(function () {
+          return cf.node('http://localhost:8080/data/person/howard-wolowitz')
+        }).then(function (result) {
+          assert.equal(result.out('http://schema.org/address').out('http://schema.org/addressLocality').toString(), 'Pasadena')
 
-        done()
+          done()
+        })
       }).catch(function (error) {
         done(error)
       })
     })
 
-    it('.store should return the store object', function () {
-      var cf = clownface.Store(tbbtStore)
+    it('.addIn should add triples to the named graph of each node and persist it', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
 
-      assert.equal(cf.store(), tbbtStore)
+        return cf.node('http://localhost:8080/data/person/penny', null, function (result) {
+          return result.out('http://schema.org/knows').addIn('http://schema.org/colleague', 'http://example.org/someone')
+        }).then(function () {
+          return store.graph('http://localhost:8080/data/person/penny')
+        }).then(function (graph) {
+          assert.equal(graph.match('http://example.org/someone', 'http://schema.org/colleague').length, 7)
+
+          done()
+        })
+      }).catch(function (error) {
+        done(error)
+      })
     })
 
-    it('.in should search object->subject', function (done) {
-      var cf = clownface.Store(tbbtStore)
+    it('.addList and .removeList should write rdf:Lists to the named graph', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
 
-      cf.node('2311 North Los Robles Avenue, Aparment 4A', 'http://localhost:8080/data/person/sheldon-cooper', function (result) {
-        result = result
-          .in('http://schema.org/streetAddress')
-          .nodes()
+        return cf.node('http://localhost:8080/data/person/penny', null, function (result) {
+          return result.addList('http://example.org/favorites', ['a', 'b'])
+        }).then(function () {
+          return cf.node('http://localhost:8080/data/person/penny')
+        }).then(function (result) {
+          assert.equal(result.out('http://example.org/favorites').list().length, 2)
 
-        assert.equal(result.length, 1)
-        assert.equal(result[0].interfaceName, 'BlankNode')
+          return result.removeList('http://example.org/favorites')
+        }).then(function () {
+          return store.graph('http://localhost:8080/data/person/penny')
+        }).then(function (graph) {
+          assert.equal(graph.length, 16)
 
-        done()
+          done()
+        })
       }).catch(function (error) {
         done(error)
       })
     })
 
-    it('.in should search object->subject with multiple predicate values', function (done) {
-      var cf = clownface.Store(tbbtStore)
-
-      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski', 'http://localhost:8080/data/person/howard-wolowitz', function (result) {
-        result = result
-          .in(['http://schema.org/spouse', 'http://schema.org/knows'])
-          .nodes()
+    it('.removeIn and .removeOut should remove triples from the named graph and persist it', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
 
-        assert.equal(result.length, 2)
+        return cf.node('http://localhost:8080/data/person/penny', null, function (result) {
+          return result.removeOut('http://schema.org/knows').then(function () {
+            return result.out('http://schema.org/address').removeIn()
+          })
+        }).then(function () {
+          return store.graph('http://localhost:8080/data/person/penny')
+        }).then(function (graph) {
+          assert.equal(graph.match(null, 'http://schema.org/knows').length, 0)
+          assert.equal(graph.match(null, 'http://schema.org/address').length, 0)
+          assert.equal(graph.length, 8)
 
-        done()
+          done()
+        })
       }).catch(function (error) {
         done(error)
       })
     })
 
-    it('.out should search subject->object', function (done) {
-      var cf = clownface.Store(tbbtStore)
+    it('write operations should roll back the graphs already changed if a later graph fails', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
+        var penny
+        var people
 
-      cf.node('http://localhost:8080/data/person/amy-farrah-fowler', null, function (result) {
-        result = result
-          .out('http://schema.org/jobTitle')
-          .nodes()
+        return cf.node('http://localhost:8080/data/person/penny').then(function (result) {
+          penny = result
 
-        assert.equal(result.length, 1)
-        assert.equal(result[0].interfaceName, 'Literal')
-        assert.equal(result[0].nominalValue, 'neurobiologist')
+          return cf.node('http://localhost:8080/data/person/howard-wolowitz')
+        }).then(function (howard) {
+          people = penny.union(howard)
 
-        done()
+          clownface.Graph(penny.graphs()[0], penny.nodes()).addList('http://example.org/list', ['a'])
+          clownface.Graph(howard.graphs()[0], howard.nodes()).addOut('http://example.org/list', function (head) {
+            head.addOut('http://www.w3.org/1999/02/22-rdf-syntax-ns#first', ['a', 'b'])
+          })
+
+          return people.removeList('http://example.org/list')
+        }).then(function () {
+          throw new Error('no error thrown')
+        }, function (error) {
+          assert(/malformed list/.test(error.message))
+          assert.equal(penny.out('http://example.org/list').list().length, 1)
+          assert.equal(penny.graphs()[0].length, 19)
+
+          done()
+        })
       }).catch(function (error) {
         done(error)
       })
     })
 
-    it('.out should search subject->object with multiple predicate values', function (done) {
-      var cf = clownface.Store(tbbtStore)
-
-      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski', null, function (result) {
-        result = result
-          .out(['http://schema.org/familyName', 'http://schema.org/givenName'])
-          .nodes()
+    it('write operations should reject on invalid arguments and unknown graphs', function (done) {
+      rdf.utils.splitGraphByNamedNodeSubject(tbbtGraph).then(function (store) {
+        var cf = clownface.Store(store)
+        var errors
 
-        assert.equal(result.length, 2)
+        var message = function (promise) {
+          return promise.then(function () {
+            return null
+          }, function (error) {
+            return error.message
+          })
+        }
+
+        return cf.node('http://localhost:8080/data/person/penny').then(function (penny) {
+          return Promise.all([
+            message(penny.addOut(null, 'x')),
+            message(penny.addIn('http://schema.org/knows')),
+            message(penny.removeOut('unknown:predicate'))
+          ])
+        }).then(function (messages) {
+          errors = messages
+
+          return cf.node('http://example.org/unknown')
+        }).then(function (unknown) {
+          return message(unknown.addOut('http://schema.org/name', 'x'))
+        }).then(function (unknownGraph) {
+          assert.deepEqual(errors.concat(unknownGraph), [
+            'predicate missing',
+            'subjects missing',
+            'unknown prefix: unknown',
+            'graph not found: http://example.org/unknown'
+          ])
 
-        done()
+          done()
+        })
       }).catch(function (error) {
         done(error)
       })
@@ -569,6 +3793,28 @@ describe('clownface', function () {
       })
     })
 
+    it('should keep the options in objects created by .jump', function (done) {
+      var cf = clownface.Store(tbbtStore, null, {baseIri: 'http://localhost:8080/data/person/'})
+
+      cf.node('./bernadette-rostenkowski', null, function (result) {
+        return result
+          .out('http://schema.org/spouse')
+          .jump()
+          .then(function (result) {
+            assert.equal(result.toString(), 'http://localhost:8080/data/person/howard-wolowitz')
+            assert.equal(result.toArray()[0].toString(), 'http://localhost:8080/data/person/howard-wolowitz')
+
+            return result.node('./penny', null, function (penny) {
+              assert.equal(penny.out('http://schema.org/givenName').toString(), 'Penny')
+
+              done()
+            })
+          })
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
     it('.jump should support Promise .then', function (done) {
       var cf = clownface.Store(tbbtStore)
 
@@ -588,6 +3834,172 @@ describe('clownface', function () {
       })
     })
 
+    var countingStore = function (requests) {
+      return {
+        graph: function (iri) {
+          requests.push(iri)
+
+          return tbbtStore.graph(iri)
+        }
+      }
+    }
+
+    it('.jump should load each graph only once', function (done) {
+      var requests = []
+      var penny = rdf.createNamedNode('http://localhost:8080/data/person/penny')
+      var cf = clownface.Store(countingStore(requests), [penny, penny, penny])
+
+      cf.jump().then(function (result) {
+        assert.deepEqual(requests, ['http://localhost:8080/data/person/penny'])
+        assert.equal(result.nodes().length, 3)
+        assert.equal(result.graphs().length, 1)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.node should use the graph cache if enabled', function (done) {
+      var requests = []
+      var cf = clownface.Store(countingStore(requests), null, {cache: true})
+      var graph
+
+      cf.node('http://localhost:8080/data/person/penny').then(function (result) {
+        graph = result.graphs()[0]
+
+        return result.out('http://schema.org/knows').jump()
+      }).then(function () {
+        return cf.node('http://localhost:8080/data/person/penny')
+      }).then(function (result) {
+        assert.equal(result.graphs()[0], graph)
+        assert.equal(requests.length, 8)
+
+        return cf.invalidate('http://localhost:8080/data/person/penny').node('http://localhost:8080/data/person/penny')
+      }).then(function () {
+        assert.equal(requests.length, 9)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('should share a graph cache between Store objects', function (done) {
+      var requests = []
+      var cache = new clownface.GraphCache()
+      var store = countingStore(requests)
+
+      clownface.Store(store, null, {cache: cache}).node('http://localhost:8080/data/person/penny').then(function () {
+        return clownface.Store(store, null, {cache: cache}).node('http://localhost:8080/data/person/penny')
+      }).then(function () {
+        assert.equal(requests.length, 1)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.out should load the documents of nodes without matches if follow is enabled', function (done) {
+      var requests = []
+      var cf = clownface.Store(countingStore(requests), null, {follow: true})
+
+      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski').then(function (result) {
+        return result.out('http://schema.org/knows')
+      }).then(function (result) {
+        assert.equal(result.nodes().length, 7)
+        assert.equal(requests.length, 1)
+
+        return result.out('http://schema.org/givenName')
+      }).then(function (result) {
+        assert.equal(result.nodes().length, 7)
+        assert.equal(requests.length, 8)
+        assert.equal(result.nodes()[0].graphIri, requests[1])
+        assert.equal(result.nodes()[0].hops, 1)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.in should use matches in the current graph if follow is enabled', function (done) {
+      var requests = []
+      var cf = clownface.Store(countingStore(requests), null, {follow: true})
+
+      cf.node('http://localhost:8080/data/person/howard-wolowitz', 'http://localhost:8080/data/person/penny').then(function (result) {
+        return result.in('http://schema.org/knows')
+      }).then(function (result) {
+        assert.deepEqual(result.literal(), ['http://localhost:8080/data/person/penny'])
+        assert.equal(requests.length, 1)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.out should respect the hops limit and the allowed IRIs of follow', function (done) {
+      var requests = []
+      var store = countingStore(requests)
+
+      clownface.Store(store, null, {follow: {hops: 1}}).node('http://localhost:8080/data/person/bernadette-rostenkowski').then(function (result) {
+        return result.out('http://schema.org/knows')
+      }).then(function (result) {
+        return result.out('http://schema.org/knows')
+      }).then(function (result) {
+        assert.equal(result.nodes()[0].hops, 1)
+
+        return result.out('http://schema.org/givenName')
+      }).then(function (result) {
+        assert.equal(result.nodes().length, 0)
+        assert.equal(requests.length, 8)
+
+        return clownface.Store(store, null, {follow: {allow: ['http://example.org/']}}).node('http://localhost:8080/data/person/bernadette-rostenkowski')
+      }).then(function (result) {
+        return result.out('http://schema.org/knows')
+      }).then(function (result) {
+        return result.out('http://schema.org/givenName')
+      }).then(function (result) {
+        assert.equal(result.nodes().length, 0)
+        assert.equal(requests.length, 9)
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
+    it('.sortBy, .offset, .limit and .count should sort and page the nodes', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node('http://localhost:8080/data/person/bernadette-rostenkowski', null, function (result) {
+        return result.out('http://schema.org/knows').jump()
+      }).then(function (result) {
+        var names = result.out('http://schema.org/givenName').literal().sort()
+        var sorted = result.sortBy('http://schema.org/givenName')
+
+        assert(sorted instanceof clownface.Store)
+        assert.equal(sorted.count(), 7)
+        assert.deepEqual(sorted.out('http://schema.org/givenName').literal(), names)
+        assert.deepEqual(sorted.offset(1).limit(2).out('http://schema.org/givenName').literal(), names.slice(1, 3))
+        assert.throws(function () {
+          sorted.offset(-1)
+        }, /non-negative integer/)
+        assert.throws(function () {
+          sorted.limit(2.5)
+        }, /non-negative integer/)
+        assert.deepEqual(result.sortBy(function (pointer) {
+          return pointer.out('http://schema.org/givenName')
+        }, {order: 'desc'}).out('http://schema.org/givenName').literal(), names.slice().reverse())
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
     it('.literal should return literal nodes as string', function (done) {
       var cf = clownface.Store(tbbtStore)
 
@@ -628,6 +4040,20 @@ describe('clownface', function () {
       assert.equal(result, null)
     })
 
+    it('.native should convert literals to native values', function (done) {
+      var cf = clownface.Store(tbbtStore)
+
+      cf.node(123, 'http://example.org/', function (result) {
+        result = result.native()
+
+        assert.deepEqual(result, [123])
+
+        done()
+      }).catch(function (error) {
+        done(error)
+      })
+    })
+
     it('.toArray should return an empty array if no node was selected', function () {
       var cf = clownface.Store(tbbtStore)
 